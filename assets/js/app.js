@@ -3,11 +3,133 @@
  */
 class BuddyExchangeApp {
     constructor() {
-        this.githubAPI = new GitHubAPI();
         this.ui = new BuddyExchangeUI();
+        this.githubAPI = this.createGitHubAPI();
+        this.registerAnalysis = new RegisterAnalysis(BuddyExchangeConfig);
+        this.issueStore = new IssueStore(this.githubAPI, this.registerAnalysis);
         this.isLoading = false;
         this.isLeaderboardLoading = false;
         this.isBuddyLoading = false;
+
+        // Cancels the loads of the current refresh once a newer refresh or an instance switch starts
+        this.loadController = new AbortController();
+
+        // Whether the panels currently show data rendered from the response cache
+        this.showingCachedData = false;
+
+        // Whether a refresh failed on the rate limit and should be repeated once the quota resets
+        this.refreshAfterQuotaReset = false;
+
+        // Pending claims of the available issues, keyed by issue number ({ updatedAt, claims })
+        this.pendingClaims = new Map();
+
+        // Filters of the available issues list, kept in the URL so filtered views can be shared
+        this.issueFilters = this.registerAnalysis.parseIssueFilters(new URLSearchParams(window.location.search));
+
+        // Order of the available issues list, remembered between visits
+        const storedSort = this.ui.getStoredIssueSort();
+        this.issueSort = this.registerAnalysis.isIssueSortMode(storedSort) ? storedSort : 'newest';
+    }
+
+    /**
+     * Create a GitHub API client for the active register instance and data source
+     * @param {GitHubAPI|null} previousAPI - Client being replaced, whose known quota is carried over
+     * @returns {GitHubAPI} API client reporting pagination progress and quota to the UI
+     */
+    createGitHubAPI(previousAPI = null) {
+        const dataSource = BuddyExchangeConfig.dataSources[BuddyExchangeConfig.getActiveDataSource()];
+
+        // Fixture data is never cached, so it cannot mix with responses from GitHub
+        const githubAPI = dataSource.fixture ?
+            new GitHubAPI({
+                fetchImplementation: new FixtureBackend(dataSource.fixture, { basePath: BuddyExchangeConfig.fixtures.path }).fetch,
+                cache: null
+            }) :
+            new GitHubAPI();
+
+        githubAPI.onProgress = (progress) => this.ui.showFetchProgress(progress);
+        githubAPI.onRateLimitChange = (rateLimit) => this.handleRateLimitChange(githubAPI, rateLimit);
+
+        // The quota belongs to the user (or IP address), not to the register instance
+        if (previousAPI && previousAPI.rateLimit) {
+            githubAPI.setRateLimit(previousAPI.rateLimit);
+        }
+
+        return githubAPI;
+    }
+
+    /**
+     * Update the quota banner and repeat a rate-limited refresh once the quota has reset
+     * @param {GitHubAPI} githubAPI - Client that reported the quota
+     * @param {Object} rateLimit - Quota ({ limit, remaining, reset, low })
+     */
+    handleRateLimitChange(githubAPI, rateLimit) {
+        // Ignore late reports from a client replaced by an instance switch
+        if (githubAPI !== this.githubAPI) {
+            return;
+        }
+
+        this.ui.updateRateLimitBanner(rateLimit);
+
+        if (!rateLimit.low && this.refreshAfterQuotaReset) {
+            console.log('Rate limit reset, resuming refresh');
+            this.refreshAfterQuotaReset = false;
+            this.refresh();
+        }
+    }
+
+    /**
+     * Describe an error for the user, tailored to its type
+     * @param {Error} error - Error thrown while loading data
+     * @param {string|null} notFoundMessage - Message for a missing resource (defaults to the register repository)
+     * @returns {string} Message explaining what went wrong and what to do
+     */
+    describeError(error, notFoundMessage = null) {
+        if (error instanceof RateLimitError) {
+            const reset = error.reset ? ` at ${error.reset.toLocaleTimeString()}` : '';
+            return `GitHub API rate limit exceeded. Data reloads automatically when the quota resets${reset}.`;
+        }
+
+        if (error instanceof NetworkError) {
+            return 'Could not reach GitHub. Please check your connection and retry.';
+        }
+
+        if (error instanceof NotFoundError) {
+            // Typically a register instance that was renamed or is not visible to the saved token
+            return notFoundMessage ||
+                `The register repository ${BuddyExchangeConfig.repository.fullName} was not found on GitHub. Check the register instance selected in the page footer.`;
+        }
+
+        if (error instanceof UnauthorizedError) {
+            return 'GitHub rejected the saved token. Update or remove it in "Configure my default settings".';
+        }
+
+        if (error instanceof GitHubAPIError && error.status === 403) {
+            return 'GitHub refused the request (403 Forbidden). The saved token may lack the permission it needs.';
+        }
+
+        if (error instanceof ServerError) {
+            return `GitHub is having problems (${error.status}). Please retry in a moment.`;
+        }
+
+        if (error.name === 'AbortError') {
+            return 'The request was cancelled because the data was refreshed or the register instance changed. Please retry.';
+        }
+
+        return error.message || 'Please try again later.';
+    }
+
+    /**
+     * Describe a panel loading error, remembering to refresh once the quota resets if it was rate limited
+     * @param {Error} error - Error thrown while loading data
+     * @returns {string} Message for the panel
+     */
+    getLoadErrorMessage(error) {
+        if (error instanceof RateLimitError) {
+            this.refreshAfterQuotaReset = true;
+        }
+
+        return this.describeError(error);
     }
 
     /**
@@ -19,125 +141,561 @@ class BuddyExchangeApp {
         // Set up event listeners
         this.ui.setupEventListeners();
 
-        // Load initial issues, leaderboard, and buddy data
-        await this.loadIssues();
-        await this.loadLeaderboard();
-        await this.loadBuddyData();
+        // Switch between the overview and the detail view of an issue (#/issue/123)
+        window.addEventListener('hashchange', () => this.showRoute());
+        this.showRoute();
+
+        // Show the quota banner straight away if the rate limit is already low
+        this.checkRateLimit();
+
+        // Render the last known data from the cache, then revalidate it against GitHub
+        await this.loadFromCache();
+        await this.refresh();
 
         console.log('Application initialized successfully');
     }
 
     /**
-     * Load buddy exchange issues from GitHub
+     * Render issues, leaderboard, and buddy data from the response cache without network requests
+     * @returns {Promise<boolean>} Whether cached data was rendered
+     */
+    async loadFromCache() {
+        const signal = this.loadController.signal;
+        let loaded;
+        try {
+            loaded = await this.issueStore.load({ cacheOnly: true, signal });
+        } catch (error) {
+            console.warn('Failed to read cached issues:', error);
+            loaded = false;
+        }
+
+        if (!loaded) {
+            return false;
+        }
+
+        await Promise.all([
+            this.loadIssues({ fromCache: true }),
+            this.loadLeaderboard({ fromCache: true }),
+            this.loadBuddyData({ fromCache: true })
+        ]);
+
+        if (signal.aborted) {
+            return false;
+        }
+
+        console.log(`Rendered cached data from ${this.issueStore.snapshotTime.toISOString()}`);
+        this.showingCachedData = true;
+        this.ui.showCachedDataNotice(this.issueStore.snapshotTime, true);
+        return true;
+    }
+
+    /**
+     * Make sure the issue snapshot is recent enough for identifier calculation, refreshing all panels if not
+     * @param {number} maxAge - Maximum acceptable snapshot age in milliseconds (0 always refreshes)
+     * @returns {Promise<void>} Rejects if the issues could not be loaded
      */
-    async loadIssues() {
+    async ensureFreshSnapshot(maxAge = BuddyExchangeConfig.github.identifierSnapshotMaxAge) {
+        if (!this.issueStore.isStale(maxAge)) {
+            return;
+        }
+
+        // Joins the sweep started by refresh() and surfaces its error
+        // (refresh() replaces the load controller synchronously, before its first await)
+        await Promise.all([
+            this.refresh(),
+            this.issueStore.load({ signal: this.loadController.signal })
+        ]);
+    }
+
+    /**
+     * Load the certificate listing published in the register repository
+     * The next identifier can still be calculated from the issue titles alone, so failures are reported, not thrown
+     * @returns {Promise<Object>} Listed identifiers and a message if the listing could not be loaded ({ identifiers, error })
+     */
+    async loadRegisterListing() {
+        const signal = this.loadController.signal;
+
+        try {
+            const identifiers = await this.githubAPI.fetchRegisterListing({ signal });
+            signal.throwIfAborted();
+            return { identifiers, error: null };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+
+            const notFoundMessage = `${BuddyExchangeConfig.registerListing.path} was not found in ${BuddyExchangeConfig.repository.fullName}.`;
+            return { identifiers: [], error: this.describeError(error, notFoundMessage) };
+        }
+    }
+
+    /**
+     * Calculate the next free certificate identifier of the current sequence
+     * @param {Object} options - Options ({ maxAge } is the maximum acceptable snapshot age in milliseconds)
+     * @returns {Promise<Object>} Next identifier and what it was derived from
+     *   ({ nextNumber, nextIdentifier, usedIdentifiers, ignored, listingError })
+     * @throws {GitHubAPIError} If the issues could not be loaded
+     */
+    async calculateNextIdentifier({ maxAge } = {}) {
+        // Refresh the snapshot first, then read the published certificates
+        // (one after the other: a refresh replaces the signal the listing request would use)
+        await this.ensureFreshSnapshot(maxAge);
+        const listing = await this.loadRegisterListing();
+
+        // Merge the identifiers of the issue titles with the published ones
+        const { identifiers, ignored } = this.issueStore.getCertificateIdentifiers();
+        const usedIdentifiers = this.registerAnalysis.mergeIdentifierSources(identifiers, listing.identifiers);
+        const nextNumber = this.registerAnalysis.calculateNextIdentifier(usedIdentifiers);
+
+        return {
+            nextNumber,
+            nextIdentifier: this.registerAnalysis.formatCertificateIdentifier(nextNumber),
+            usedIdentifiers,
+            ignored,
+            listingError: listing.error
+        };
+    }
+
+    /**
+     * Open the issue reserving a certificate identifier, unless someone took the identifier in the meantime
+     * @param {number} number - Identifier number shown to the user (of the current sequence)
+     * @param {string} title - Issue title containing the identifier
+     * @returns {Promise<Object>} Created issue ({ issue }), or the fresh calculation if the number is taken ({ taken })
+     * @throws {GitHubAPIError} If the issues could not be loaded or the issue could not be created
+     */
+    async createIdentifierIssue(number, title) {
+        // Re-check against the latest issues and listing right before creating the issue
+        const latest = await this.calculateNextIdentifier({ maxAge: 0 });
+        const year = this.registerAnalysis.getCurrentSequenceYear();
+
+        if (latest.usedIdentifiers.some(entry => entry.year === year && entry.number === number)) {
+            console.log(`Identifier ${this.registerAnalysis.formatCertificateIdentifier(number)} was taken in the meantime`);
+            return { taken: latest };
+        }
+
+        const body = await this.githubAPI.fetchIssueTemplate({ signal: this.loadController.signal });
+        const issue = await this.githubAPI.createIssue({
+            title,
+            body,
+            labels: [BuddyExchangeConfig.labels.buddyExchange, BuddyExchangeConfig.labels.identifierAssigned]
+        });
+
+        // Show the new issue in all panels
+        this.refresh();
+
+        return { issue };
+    }
+
+    /**
+     * Find the claim the signed-in user already commented on an issue
+     * @param {number} issueNumber - Issue number
+     * @param {string} login - GitHub login the access token belongs to
+     * @returns {Promise<Object|null>} Claim comment, or null if the user has not claimed the issue
+     * @throws {GitHubAPIError} If the comments could not be loaded
+     */
+    async findOwnClaimComment(issueNumber, login) {
+        const comments = await this.githubAPI.fetchIssueComments(issueNumber, { signal: this.loadController.signal });
+        return this.registerAnalysis.findClaimComment(comments, login);
+    }
+
+    /**
+     * Comment a claim on an issue, unless the signed-in user claimed it before
+     * @param {number} issueNumber - Issue number
+     * @param {string} body - Claim comment (Markdown)
+     * @param {string} login - GitHub login the access token belongs to
+     * @returns {Promise<Object>} Posted comment ({ comment }), or the earlier claim ({ existing })
+     * @throws {GitHubAPIError} If the comments could not be loaded or the comment could not be created
+     */
+    async postClaimComment(issueNumber, body, login) {
+        // Check right before posting, so a second click or another tab does not claim twice
+        const existing = await this.findOwnClaimComment(issueNumber, login);
+        if (existing) {
+            console.log(`${login} already claimed issue #${issueNumber}`);
+            return { existing };
+        }
+
+        const comment = await this.githubAPI.createIssueComment(issueNumber, body);
+
+        // Show the new comment count on the card
+        this.refresh();
+
+        return { comment };
+    }
+
+    /**
+     * Load buddy exchange issues from the issue store
+     * @param {Object} options - Load options ({ fromCache } renders the cached snapshot without reloading)
+     * @returns {Promise<boolean>} Whether issues were rendered
+     */
+    async loadIssues({ fromCache = false } = {}) {
         if (this.isLoading) {
             console.log('Already loading issues, skipping...');
-            return;
+            return false;
         }
 
+        const signal = this.loadController.signal;
         this.isLoading = true;
-        this.ui.showLoading();
+
+        // Keep cached cards visible while they are revalidated
+        if (!fromCache && !this.showingCachedData) {
+            this.ui.showLoading();
+        }
 
         try {
-            console.log('Fetching buddy exchange issues...');
+            if (!fromCache) {
+                console.log('Fetching buddy exchange issues...');
+                await this.issueStore.load({ signal });
+            }
 
-            const issues = await this.githubAPI.fetchBuddyExchangeIssues();
-            const formattedIssues = issues.map(issue =>
-                this.githubAPI.formatIssueData(issue)
-            );
+            // Discard results of a load that was replaced in the meantime
+            signal.throwIfAborted();
 
-            console.log(`Found ${formattedIssues.length} available issues`);
+            const issues = this.issueStore.getAvailableIssues();
 
-            this.ui.renderIssues(formattedIssues);
+            console.log(`Found ${issues.length} available issues`);
+
+            this.renderAvailableIssues();
 
             // Update page title with issue count
-            document.title = `CODECHECK Buddy Exchange (${formattedIssues.length} available)`;
+            document.title = `CODECHECK Buddy Exchange (${issues.length} available)`;
+
+            this.renderMyExchange();
+
+            // Fill or update the detail view opened through the URL
+            const detailIssueNumber = this.getRouteIssueNumber();
+            if (detailIssueNumber !== null) {
+                this.loadIssueDetail(detailIssueNumber, signal);
+            }
+
+            return true;
 
         } catch (error) {
-            console.error('Failed to load issues:', error);
+            if (signal.aborted) {
+                console.log('Cancelled loading issues');
+                return false;
+            }
 
-            let errorMessage = 'Failed to load buddy exchange issues. ';
+            console.error('Failed to load issues:', error);
 
-            if (error.message.includes('rate limit')) {
-                errorMessage += 'GitHub API rate limit exceeded. Please try again later.';
-            } else if (error.message.includes('Network')) {
-                errorMessage += 'Network error. Please check your connection.';
-            } else {
-                errorMessage += error.message || 'Please try again later.';
+            if (fromCache) {
+                return false;
             }
 
-            this.ui.showError(errorMessage);
+            this.ui.showError(`Failed to load buddy exchange issues. ${this.getLoadErrorMessage(error)}`);
+            if (this.getRouteIssueNumber() !== null && !this.issueStore.isLoaded()) {
+                this.ui.showIssueDetailError('The issue could not be loaded because the register issues are unavailable.');
+            }
+            return false;
         } finally {
-            this.isLoading = false;
-            this.ui.hideLoading();
+            // A cancelled load leaves the panel to the load that replaced it
+            if (!signal.aborted) {
+                this.isLoading = false;
+                this.ui.hideLoading();
+            }
+        }
+    }
+
+    /**
+     * Render the available issues that match the filters in the selected order, together with the filter choices
+     */
+    renderAvailableIssues() {
+        const issues = this.issueStore.getAvailableIssues();
+        const knownClaimCounts = this.getKnownClaimCounts();
+        const filteredIssues = this.registerAnalysis.sortIssues(
+            this.registerAnalysis.filterIssues(issues, this.issueFilters),
+            this.issueSort,
+            knownClaimCounts
+        );
+        const filtersActive = this.registerAnalysis.hasActiveIssueFilters(this.issueFilters);
+
+        this.ui.renderIssueFilters(this.registerAnalysis.collectIssueFilterOptions(issues), this.issueFilters);
+        this.ui.renderIssues(filteredIssues, this.issueStore.changedIssueNumbers, filtersActive ? issues.length : null);
+
+        // Claims are only read as the cards scroll into view (see showPendingClaimsFor), so sorting
+        // by claims uses the known ones and lists the other issues with comments last
+        this.ui.showIssueSortNote(this.issueSort === 'fewest-claims' ?
+            filteredIssues.filter(issue => issue.comments > 0 && !knownClaimCounts.has(issue.number)).length :
+            0);
+    }
+
+    /**
+     * Show the pending claims on issue cards that scrolled into view
+     * @param {Array<number>} issueNumbers - Numbers of the issues whose cards came into view
+     */
+    showPendingClaimsFor(issueNumbers) {
+        const issuesByNumber = new Map(this.issueStore.getAvailableIssues().map(issue => [issue.number, issue]));
+        const issues = issueNumbers.map(number => issuesByNumber.get(number)).filter(Boolean);
+
+        this.loadPendingClaims(issues, this.loadController.signal);
+    }
+
+    /**
+     * Pending claims of an issue, if they were read since the issue last changed
+     * @param {Object} issue - GitHub issue
+     * @returns {Object|null} Pending claims ({ count, claimants, latest }) or null
+     */
+    getKnownClaims(issue) {
+        const known = this.pendingClaims.get(issue.number);
+        return known && known.updatedAt === issue.updated_at ? known.claims : null;
+    }
+
+    /**
+     * Pending claim counts that are up to date with the issue snapshot
+     * @returns {Map<number, number>} Number of pending claims per issue number
+     */
+    getKnownClaimCounts() {
+        const counts = new Map();
+
+        this.issueStore.getAvailableIssues().forEach(issue => {
+            const claims = this.getKnownClaims(issue);
+            if (claims) {
+                counts.set(issue.number, claims.count);
+            }
+        });
+
+        return counts;
+    }
+
+    /**
+     * Change the order of the available issues list and remember it
+     * @param {string} mode - Sort mode (see RegisterAnalysis.sortIssues)
+     */
+    setIssueSort(mode) {
+        this.issueSort = this.registerAnalysis.isIssueSortMode(mode) ? mode : 'newest';
+        this.ui.storeIssueSort(this.issueSort);
+
+        if (this.issueStore.isLoaded()) {
+            this.renderAvailableIssues();
+        }
+    }
+
+    /**
+     * Apply new issue filters and store them in the page URL
+     * @param {Object} filters - Issue filters ({ search, labels, author, language, minAgeDays, maxAgeDays })
+     */
+    setIssueFilters(filters) {
+        this.issueFilters = filters;
+
+        const url = new URL(window.location.href);
+        this.registerAnalysis.writeIssueFilters(filters, url.searchParams);
+        window.history.replaceState(null, '', url);
+
+        // Before the first load the filters are applied once the issues arrive
+        if (this.issueStore.isLoaded()) {
+            this.renderAvailableIssues();
+        }
+    }
+
+    /**
+     * Number of the issue selected by the URL hash
+     * @returns {number|null} Issue number for #/issue/<number>, otherwise null
+     */
+    getRouteIssueNumber() {
+        const match = window.location.hash.match(/^#\/issue\/(\d+)$/);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * Show the view selected by the URL hash: the detail view of an issue or the overview
+     */
+    showRoute() {
+        const issueNumber = this.getRouteIssueNumber();
+
+        if (issueNumber === null) {
+            this.ui.hideIssueDetail();
+            return;
+        }
+
+        this.ui.showIssueDetailLoading(issueNumber);
+
+        // Before the first load the view is filled once the issues arrive (see loadIssues)
+        if (this.issueStore.isLoaded()) {
+            this.loadIssueDetail(issueNumber);
+        }
+    }
+
+    /**
+     * Load the comments and events of an issue and show them in the detail view
+     * @param {number} issueNumber - Issue number
+     * @param {AbortSignal} signal - Cancels the requests
+     * @returns {Promise<boolean>} Whether the issue was shown
+     */
+    async loadIssueDetail(issueNumber, signal = this.loadController.signal) {
+        const issue = this.issueStore.issues.find(candidate => candidate.number === issueNumber);
+
+        if (!issue) {
+            this.ui.showIssueDetailError(`Issue #${issueNumber} was not found in ${BuddyExchangeConfig.repository.fullName}.`);
+            return false;
+        }
+
+        try {
+            const [comments, events] = await Promise.all([
+                issue.comments > 0 ? this.githubAPI.fetchIssueComments(issueNumber, { signal }) : [],
+                this.githubAPI.fetchIssueEvents(issueNumber, { signal })
+            ]);
+            signal.throwIfAborted();
+
+            // Another issue may have been opened in the meantime
+            if (this.getRouteIssueNumber() !== issueNumber) {
+                return false;
+            }
+
+            const claims = this.registerAnalysis.summarizePendingClaims(issue, comments);
+            this.pendingClaims.set(issue.number, { updatedAt: issue.updated_at, claims });
+
+            this.ui.renderIssueDetail({
+                issue: this.registerAnalysis.formatIssueData(issue),
+                assignees: this.registerAnalysis.getIssueAssignees(issue),
+                claimable: this.issueStore.getAvailableIssues().includes(issue),
+                claims,
+                comments,
+                labelTimeline: this.registerAnalysis.getLabelTimeline(events)
+            });
+            return true;
+
+        } catch (error) {
+            if (signal.aborted) {
+                return false;
+            }
+
+            console.error(`Failed to load issue #${issueNumber}:`, error);
+            this.ui.showIssueDetailError(this.describeError(error, `Issue #${issueNumber} was not found on GitHub.`));
+            return false;
+        }
+    }
+
+    /**
+     * Show the "My exchange" section for the GitHub username saved in settings (hidden without one)
+     */
+    renderMyExchange() {
+        const username = this.ui.getStoredGitHubUsername();
+
+        this.ui.renderMyExchange(username && this.issueStore.isLoaded() ? this.issueStore.getMyExchange(username) : null);
+    }
+
+    /**
+     * Show the pending claims on the cards of the given issues
+     *
+     * Comments are only fetched for issues that changed since their claims were last
+     * read; a new comment changes the issue's update time. While the quota is low the
+     * lookups are skipped, leaving the quota to the issue list; the detail view of an
+     * issue still reads its claims.
+     * @param {Array} issues - Available GitHub issues shown as cards
+     * @param {AbortSignal} signal - Cancels the remaining comment requests
+     */
+    async loadPendingClaims(issues, signal) {
+        try {
+            for (const issue of issues) {
+                let claims = this.getKnownClaims(issue);
+
+                if (!claims) {
+                    if (issue.comments > 0 && this.githubAPI.isQuotaLow()) {
+                        continue;
+                    }
+
+                    const comments = issue.comments > 0 ?
+                        await this.githubAPI.fetchIssueComments(issue.number, { signal, essential: false }) :
+                        [];
+                    signal.throwIfAborted();
+
+                    claims = this.registerAnalysis.summarizePendingClaims(issue, comments);
+                    this.pendingClaims.set(issue.number, { updatedAt: issue.updated_at, claims });
+                }
+
+                this.ui.showPendingClaims(issue.number, claims);
+            }
+        } catch (error) {
+            if (!signal.aborted) {
+                console.warn('Failed to load pending claims:', error);
+            }
         }
     }
 
     /**
      * Load leaderboard data from closed buddy exchange issues
+     * @param {Object} options - Load options ({ fromCache } renders the cached snapshot without reloading)
+     * @returns {Promise<boolean>} Whether the leaderboard was rendered
      */
-    async loadLeaderboard() {
+    async loadLeaderboard({ fromCache = false } = {}) {
         if (this.isLeaderboardLoading) {
             console.log('Already loading leaderboard, skipping...');
-            return;
+            return false;
         }
 
+        const signal = this.loadController.signal;
         this.isLeaderboardLoading = true;
-        this.ui.showLeaderboardLoading();
+        if (!fromCache) {
+            this.ui.showLeaderboardLoading();
+        }
 
         try {
-            console.log('Fetching closed buddy exchange issues for leaderboard...');
+            if (!fromCache) {
+                await this.issueStore.load({ signal });
+            }
+
+            signal.throwIfAborted();
 
-            const closedIssues = await this.githubAPI.fetchClosedBuddyExchangeIssues();
-            const leaderboardData = this.githubAPI.calculateLeaderboard(closedIssues);
+            const leaderboardData = this.issueStore.getLeaderboard();
 
             console.log(`Loaded leaderboard with ${leaderboardData.activeContributors} contributors and ${leaderboardData.totalCompleted} completed exchanges`);
 
             this.ui.renderLeaderboard(leaderboardData);
 
+            return true;
+
         } catch (error) {
-            console.error('Failed to load leaderboard:', error);
+            if (signal.aborted) {
+                console.log('Cancelled loading leaderboard');
+                return false;
+            }
 
-            let errorMessage = 'Failed to load leaderboard data. ';
+            console.error('Failed to load leaderboard:', error);
 
-            if (error.message.includes('rate limit')) {
-                errorMessage += 'GitHub API rate limit exceeded.';
-            } else if (error.message.includes('Network')) {
-                errorMessage += 'Network error occurred.';
-            } else {
-                errorMessage += 'Please try again later.';
+            if (fromCache) {
+                return false;
             }
 
-            this.ui.showLeaderboardError(errorMessage);
+            this.ui.showLeaderboardError(`Failed to load leaderboard data. ${this.getLoadErrorMessage(error)}`);
+            return false;
         } finally {
-            this.isLeaderboardLoading = false;
-            this.ui.hideLeaderboardLoading();
+            if (!signal.aborted) {
+                this.isLeaderboardLoading = false;
+                this.ui.hideLeaderboardLoading();
+            }
         }
     }
 
     /**
      * Load buddy data (find a buddy candidates)
+     * @param {Object} options - Load options ({ fromCache } renders the cached snapshot without reloading)
+     * @returns {Promise<boolean>} Whether buddy data was rendered
      */
-    async loadBuddyData() {
+    async loadBuddyData({ fromCache = false } = {}) {
         if (this.isBuddyLoading) {
             console.log('Already loading buddy data, skipping...');
-            return;
+            return false;
         }
 
+        const signal = this.loadController.signal;
         this.isBuddyLoading = true;
-        this.ui.showFindBuddyLoading();
+        if (!fromCache) {
+            this.ui.showFindBuddyLoading();
+        }
 
         try {
-            console.log('Fetching all buddy exchange issues for ratio calculation...');
-
-            // Fetch both buddy data and codecheckers metadata in parallel
-            const [allIssues, codecheckersMetadata] = await Promise.all([
-                this.githubAPI.fetchAllBuddyExchangeIssues(),
-                this.githubAPI.fetchCodecheckersMetadata()
+            // Load issues and codecheckers metadata in parallel; the list is still useful without metadata
+            let metadataError = null;
+            const [, codecheckersMetadata] = await Promise.all([
+                fromCache ? null : this.issueStore.load({ signal }),
+                this.githubAPI.fetchCodecheckersMetadata({ cacheOnly: fromCache, signal }).catch(error => {
+                    metadataError = error;
+                    return new Map();
+                })
             ]);
 
-            const buddyData = this.githubAPI.calculateBuddyRatios(allIssues);
+            signal.throwIfAborted();
+
+            const buddyData = this.issueStore.getBuddyRatios();
 
             // Get all users who have received checks in the buddy exchange program
             const recipients = buddyData.allRecipients;
@@ -154,40 +712,43 @@ class BuddyExchangeApp {
             console.log(`Found ${recipients.length} users who have received buddy exchange checks`);
 
             this.ui.renderFindBuddy(enrichedRecipients);
+            this.ui.showFindBuddyMetadataWarning(metadataError ?
+                `Research fields and languages from the codecheckers list could not be loaded. ${this.describeError(metadataError, 'The codecheckers list was not found on GitHub.')}` :
+                null);
+
+            return true;
 
         } catch (error) {
-            console.error('Failed to load buddy data:', error);
+            if (signal.aborted) {
+                console.log('Cancelled loading buddy data');
+                return false;
+            }
 
-            let errorMessage = 'Failed to load buddy candidates. ';
+            console.error('Failed to load buddy data:', error);
 
-            if (error.message.includes('rate limit')) {
-                errorMessage += 'GitHub API rate limit exceeded.';
-            } else if (error.message.includes('Network')) {
-                errorMessage += 'Network error occurred.';
-            } else {
-                errorMessage += 'Please try again later.';
+            if (fromCache) {
+                return false;
             }
 
-            this.ui.showFindBuddyError(errorMessage);
+            this.ui.showFindBuddyError(`Failed to load buddy candidates. ${this.getLoadErrorMessage(error)}`);
+            return false;
         } finally {
-            this.isBuddyLoading = false;
-            this.ui.hideFindBuddyLoading();
+            if (!signal.aborted) {
+                this.isBuddyLoading = false;
+                this.ui.hideFindBuddyLoading();
+            }
         }
     }
 
     /**
      * Check GitHub API rate limit and display status
+     * (the quota banner is updated through handleRateLimitChange)
      */
     async checkRateLimit() {
         try {
             const rateLimit = await this.githubAPI.checkRateLimit();
             console.log('GitHub API Rate Limit:', rateLimit);
 
-            if (rateLimit.rate && rateLimit.rate.remaining < BuddyExchangeConfig.rateLimit.warningThreshold) {
-                const resetTime = new Date(rateLimit.rate.reset * 1000);
-                console.warn(`GitHub API rate limit low: ${rateLimit.rate.remaining} requests remaining. Resets at ${resetTime}`);
-            }
-
             return rateLimit;
         } catch (error) {
             console.error('Failed to check rate limit:', error);
@@ -195,14 +756,40 @@ class BuddyExchangeApp {
     }
 
     /**
-     * Switch register instance and reload all data
+     * Abort the loads in flight and let new loads take over their panels
+     * @returns {AbortSignal} Signal of the new loads
+     */
+    cancelPendingLoads() {
+        this.loadController.abort();
+        this.loadController = new AbortController();
+
+        // Aborted loads skip their cleanup, so release the guards here
+        this.isLoading = false;
+        this.isLeaderboardLoading = false;
+        this.isBuddyLoading = false;
+
+        return this.loadController.signal;
+    }
+
+    /**
+     * Switch register instance or data source and reload all data
      */
     async switchInstance() {
         console.log('Switching register instance to:', BuddyExchangeConfig.repository.fullName);
-        this.githubAPI = new GitHubAPI();
+        this.cancelPendingLoads();
+        this.githubAPI = this.createGitHubAPI(this.githubAPI);
+        this.registerAnalysis = new RegisterAnalysis(BuddyExchangeConfig);
+        this.issueStore = new IssueStore(this.githubAPI, this.registerAnalysis);
+        this.pendingClaims.clear();
+
+        // Cards of the previous instance must not stay visible while the new one loads
+        this.showingCachedData = false;
+        this.ui.hideCachedDataNotice();
+
         // Update the assigned issues link to point to the new repo
-        const assignedIssuesUrl = this.githubAPI.generateAssignedOpenIssuesSearchUrl();
+        const assignedIssuesUrl = this.registerAnalysis.generateAssignedOpenIssuesSearchUrl();
         $('#assigned-issues-link').attr('href', assignedIssuesUrl);
+        await this.loadFromCache();
         await this.refresh();
     }
 
@@ -211,11 +798,33 @@ class BuddyExchangeApp {
      */
     async refresh() {
         console.log('Manual refresh triggered');
-        await Promise.all([
+        const signal = this.cancelPendingLoads();
+
+        const results = await Promise.all([
             this.loadIssues(),
             this.loadLeaderboard(),
             this.loadBuddyData()
         ]);
+
+        // A newer refresh or instance switch has taken over
+        if (signal.aborted) {
+            return;
+        }
+
+        // Replace the cache notice once every panel shows fresh data
+        if (this.showingCachedData) {
+            if (results.every(Boolean)) {
+                this.showingCachedData = false;
+                this.ui.hideCachedDataNotice();
+            } else {
+                this.ui.showCachedDataNotice(this.issueStore.snapshotTime, false);
+            }
+        }
+
+        const changedCount = this.issueStore.changedIssueNumbers.size;
+        if (results[0] && changedCount > 0) {
+            this.ui.showTemporaryMessage(`${changedCount} issue${changedCount !== 1 ? 's' : ''} updated since the last refresh.`, 'info');
+        }
     }
 }
 
@@ -6,7 +6,7 @@ const BuddyExchangeConfig = {
     // App version (must match package.json)
     version: '0.1.0',
 
-    // Maximum number of issues to display per page
+    // Number of issue cards added to the grid at a time (more are added while scrolling)
     maxIssuesDisplayed: 50,
 
     // Length of issue description excerpt in characters
@@ -20,22 +20,58 @@ const BuddyExchangeConfig = {
         owner: 'codecheckers',
         name: 'register',
 
+        // Branch that files such as the certificate listing and issue templates are read from
+        branch: 'master',
+
+        // Key of the active entry in instances
+        instance: 'production',
+
         // Get full repository path
         get fullName() {
             return `${this.owner}/${this.name}`;
+        },
+
+        // Certificate identifier format of the active instance
+        get identifierFormat() {
+            return BuddyExchangeConfig.instances[this.instance].identifierFormat;
+        },
+
+        // Title of the issue reserving an identifier in the active instance
+        get titleTemplate() {
+            return BuddyExchangeConfig.instances[this.instance].titleTemplate;
         }
     },
 
+    // Certificate listing published in the register repository
+    // (one row per certificate: Certificate, Repository, Type, Venue, Issue, Report, Check date)
+    registerListing: {
+        // Path of the listing in the repository
+        path: 'register.csv'
+    },
+
     // GitHub API configuration
     github: {
         // Issues per page when fetching from GitHub API (max 100)
         issuesPerPage: 100,
 
-        // Maximum pages to fetch for closed issues (leaderboard)
-        maxLeaderboardPages: 10,
+        // Maximum pages to fetch for all issues (one sweep feeds every panel)
+        maxAllIssuesPages: 50,
+
+        // After a full sweep, refreshes only fetch issues updated since the last sync;
+        // a new full sweep is made when the last one is older than this (milliseconds)
+        fullSyncInterval: 86400000,
+
+        // Reload the issue snapshot before computing identifiers if it is older than this (milliseconds)
+        identifierSnapshotMaxAge: 300000,
 
-        // Maximum pages to fetch for all issues (identifier calculation)
-        maxAllIssuesPages: 50
+        // Retry network failures and server errors (5xx) with exponential backoff
+        retry: {
+            // Total number of attempts per request
+            maxAttempts: 3,
+
+            // Delay before the first retry in milliseconds (doubled for every further retry, with jitter)
+            baseDelay: 1000
+        }
     },
 
     // Issue filtering labels
@@ -65,7 +101,10 @@ const BuddyExchangeConfig = {
         messageDisplayDuration: 3000,
 
         // Username API call debounce time in milliseconds
-        usernameDebounceTime: 2000
+        usernameDebounceTime: 2000,
+
+        // Delay before the issue search is applied while typing, in milliseconds
+        searchDebounceTime: 300
     },
 
     // API rate limiting
@@ -73,28 +112,56 @@ const BuddyExchangeConfig = {
         // Warn when remaining API calls fall below this threshold
         warningThreshold: 10,
 
+        // Pause non-essential requests (e.g. profile lookups) until the quota resets
+        // when remaining API calls fall to this threshold
+        pauseThreshold: 5,
+
         // Show rate limit info in console
         showRateLimitInfo: true
     },
 
+    // Persistent response cache (IndexedDB)
+    cache: {
+        // Cache GitHub API responses and revalidate them with ETags
+        // (304 Not Modified responses do not count against the rate limit)
+        enabled: true,
+
+        // IndexedDB database name
+        databaseName: 'cdchck-buddy-exchange',
+
+        // Ignore and delete cached responses older than this many days
+        maxAgeDays: 30
+    },
+
     // Local storage keys
     storage: {
         githubUsername: 'cdchck_github_username',
         authorName: 'cdchck_author_name',
-        registerInstance: 'cdchck_register_instance'
+        registerInstance: 'cdchck_register_instance',
+        githubToken: 'cdchck_github_token',
+        githubTokenLogin: 'cdchck_github_token_login',
+        dataSource: 'cdchck_data_source',
+        issueSort: 'cdchck_issue_sort'
     },
 
     // Available register instances
+    // identifierFormat: prefix before the identifier, numbering ('yearly' restarts every year as YYYY-NNN,
+    // 'continuous' counts across years) and the number of digits to pad to (e.g., 3 = "001", "042")
+    // titleTemplate: issue title reserving an identifier ({author} and {identifier} are replaced)
     instances: {
         production: {
             label: 'Production (register)',
             owner: 'codecheckers',
-            name: 'register'
+            name: 'register',
+            identifierFormat: { prefix: '', numbering: 'yearly', padding: 3 },
+            titleTemplate: '{author} | {identifier}'
         },
         testing: {
             label: 'Testing (testing-dev-register)',
             owner: 'codecheckers',
-            name: 'testing-dev-register'
+            name: 'testing-dev-register',
+            identifierFormat: { prefix: '', numbering: 'yearly', padding: 3 },
+            titleTemplate: '{author} | {identifier}'
         }
     },
 
@@ -114,11 +181,63 @@ const BuddyExchangeConfig = {
     setActiveInstance(key) {
         if (!this.instances[key]) return;
         localStorage.setItem(this.storage.registerInstance, key);
+        this.repository.instance = key;
         this.repository.owner = this.instances[key].owner;
         this.repository.name = this.instances[key].name;
         console.log(`Switched to ${key} instance: ${this.repository.fullName}`);
     },
 
+    // Bundled fixtures served instead of the GitHub API (offline development and demos)
+    fixtures: {
+        // Directory holding <set>.json issue lists, optional <set>-register.csv listings and codecheckers.csv
+        path: 'assets/fixtures',
+
+        // URL parameter selecting a data source for one visit (e.g. ?data-source=many-open)
+        urlParameter: 'data-source'
+    },
+
+    // Available data sources: the live GitHub API or one of the fixture sets
+    dataSources: {
+        github: { label: 'GitHub API (live)' },
+        sample: { label: 'Fixtures: sample register', fixture: 'sample' },
+        empty: { label: 'Fixtures: empty register', fixture: 'empty' },
+        'many-open': { label: 'Fixtures: more than 100 open issues', fixture: 'many-open' },
+        'multi-assignee': { label: 'Fixtures: multi-assignee issues', fixture: 'multi-assignee' },
+        'malformed-titles': { label: 'Fixtures: malformed titles', fixture: 'malformed-titles' }
+    },
+
+    /**
+     * Get the active data source key (the URL parameter takes precedence over the stored choice)
+     * @returns {string} Key of BuddyExchangeConfig.dataSources
+     */
+    getActiveDataSource() {
+        const requested = new URLSearchParams(window.location.search).get(this.fixtures.urlParameter);
+        if (requested && this.dataSources[requested]) {
+            return requested;
+        }
+
+        const stored = localStorage.getItem(this.storage.dataSource);
+        return (stored && this.dataSources[stored]) ? stored : 'github';
+    },
+
+    /**
+     * Store the data source selection
+     * @param {string} key - Key of BuddyExchangeConfig.dataSources
+     */
+    setActiveDataSource(key) {
+        if (!this.dataSources[key]) return;
+        localStorage.setItem(this.storage.dataSource, key);
+
+        // Drop the URL parameter so it does not override the new selection
+        const url = new URL(window.location.href);
+        if (url.searchParams.has(this.fixtures.urlParameter)) {
+            url.searchParams.delete(this.fixtures.urlParameter);
+            window.history.replaceState(null, '', url);
+        }
+
+        console.log(`Switched to data source: ${this.dataSources[key].label}`);
+    },
+
     // External URLs
     urls: {
         // Base URL for GitHub issues
@@ -133,6 +252,9 @@ const BuddyExchangeConfig = {
         // GitHub issue template name for buddy exchange requests
         issueTemplate: 'buddy-exchange-request.md',
 
+        // Directory of the issue templates in the register repository
+        issueTemplateDirectory: '.github/ISSUE_TEMPLATE',
+
         // Get formatted GitHub issues URL
         getGitHubIssuesUrl() {
             return this.githubIssuesBase
@@ -148,20 +270,11 @@ const BuddyExchangeConfig = {
         }
     },
 
-    // Certificate identifier formatting
+    // Certificate identifier allocation (the format is set per instance)
     certificate: {
-        // Number of digits to pad the identifier with (e.g., 3 = "001", "042")
-        identifierPadding: 3,
-
-        // Current year for identifier generation (defaults to current year)
+        // Current year for identifier generation with yearly numbering (defaults to current year)
         get currentYear() {
             return new Date().getFullYear();
-        },
-
-        // Format certificate identifier
-        formatIdentifier(number) {
-            const paddedNumber = number.toString().padStart(this.identifierPadding, '0');
-            return `${this.currentYear}-${paddedNumber}`;
         }
     },
 
@@ -185,6 +298,16 @@ const BuddyExchangeConfig = {
             errors.push('repository owner and name must be specified');
         }
 
+        Object.entries(this.instances).forEach(([key, instance]) => {
+            const format = instance.identifierFormat;
+            if (!['yearly', 'continuous'].includes(format.numbering) || format.padding < 1) {
+                errors.push(`instances.${key}.identifierFormat must use 'yearly' or 'continuous' numbering and a padding of at least 1`);
+            }
+            if (!instance.titleTemplate.includes('{identifier}')) {
+                errors.push(`instances.${key}.titleTemplate must contain {identifier}`);
+            }
+        });
+
         if (this.github.issuesPerPage < 1 || this.github.issuesPerPage > 100) {
             errors.push('github.issuesPerPage must be between 1 and 100');
         }
@@ -0,0 +1,69 @@
+/**
+ * Error types thrown by GitHubClient (and its browser adapter GitHubAPI)
+ *
+ * Callers tell failures apart with instanceof instead of matching error messages.
+ * Network and server errors are transient and retried by GitHubClient before they are thrown.
+ * Part of the environment-independent core: loads as a CommonJS module in Node and
+ * defines the error classes as globals in the browser.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    class GitHubAPIError extends Error {
+        /**
+         * @param {string} message - Error message
+         * @param {Object} details - Failure details
+         * @param {number|null} details.status - HTTP status code (null if no response was received)
+         * @param {string|null} details.url - Request URL
+         */
+        constructor(message, { status = null, url = null } = {}) {
+            super(message);
+            this.name = this.constructor.name;
+            this.status = status;
+            this.url = url;
+        }
+    }
+
+    /**
+     * The rate limit is exhausted until the quota resets
+     */
+    class RateLimitError extends GitHubAPIError {
+        /**
+         * @param {string} message - Error message
+         * @param {Object} details - Failure details ({ status, url, reset })
+         * @param {Date|null} details.reset - When the quota resets, if known
+         */
+        constructor(message, { reset = null, ...details } = {}) {
+            super(message, details);
+            this.reset = reset;
+        }
+    }
+
+    /**
+     * No response was received (offline, DNS or CORS failure)
+     */
+    class NetworkError extends GitHubAPIError {}
+
+    /**
+     * The requested resource does not exist, or is not visible with the current credentials
+     */
+    class NotFoundError extends GitHubAPIError {}
+
+    /**
+     * The token was rejected (invalid, expired or revoked)
+     */
+    class UnauthorizedError extends GitHubAPIError {}
+
+    /**
+     * GitHub answered with a 5xx status
+     */
+    class ServerError extends GitHubAPIError {}
+
+    return { GitHubAPIError, RateLimitError, NetworkError, NotFoundError, UnauthorizedError, ServerError };
+}));
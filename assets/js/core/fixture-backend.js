@@ -0,0 +1,344 @@
+/**
+ * Offline stand-in for the GitHub API, serving bundled fixtures
+ *
+ * GitHubClient uses fetch() as its transport; passing FixtureBackend.fetch instead
+ * answers the same requests (repository issues and their comments, rate limit, users, the
+ * codecheckers CSV, the register listing and the issue template) from the files in a fixtures directory.
+ * Issue listings honour state, labels, since, sort, direction, per_page and page,
+ * and paginate with Link headers like GitHub does. Created issues and comments are kept in memory.
+ * The Node tests use the same backend with a file reader instead of HTTP.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    class FixtureBackend {
+        /**
+         * @param {string} fixtureName - Fixture set (file name without .json)
+         * @param {Object} options - Backend options
+         * @param {string} options.basePath - Directory holding the fixture files (BuddyExchangeConfig.fixtures.path in the app)
+         * @param {Function} options.loadFile - Reads a fixture file and resolves to its text (defaults to fetch)
+         */
+        constructor(fixtureName, { basePath, loadFile = null }) {
+            this.fixtureName = fixtureName;
+            this.basePath = basePath;
+            this.loadFile = loadFile || (path => this.loadFileOverHttp(path));
+            this.fixturesPromise = null;
+
+            // Fixed quota reported with every response
+            this.rateLimit = { limit: 5000, remaining: 5000 };
+
+            // Issue comments of the fixture set (<set>-comments.json) and those posted through the backend, keyed by issue number
+            this.comments = new Map();
+
+            // Issue events such as label changes (<set>-events.json), keyed by issue number
+            this.events = new Map();
+
+            // Bound so it can be handed to GitHubClient in place of fetch
+            this.fetch = this.fetch.bind(this);
+        }
+
+        /**
+         * Read a fixture file served next to the app
+         * @param {string} path - Path relative to the page
+         * @returns {Promise<string>} File contents
+         */
+        async loadFileOverHttp(path) {
+            const response = await fetch(path);
+
+            if (!response.ok) {
+                throw new Error(`Fixture ${path} could not be loaded: ${response.status}`);
+            }
+
+            return response.text();
+        }
+
+        /**
+         * Load the issues, comments, events and codecheckers CSV of the fixture set (once)
+         * @returns {Promise<Object>} Fixtures ({ issues, csv })
+         */
+        loadFixtures() {
+            if (!this.fixturesPromise) {
+                this.fixturesPromise = Promise.all([
+                    this.loadFile(`${this.basePath}/${this.fixtureName}.json`),
+                    this.loadFile(`${this.basePath}/codecheckers.csv`),
+                    // Sets without a comments file have no comments
+                    this.loadFile(`${this.basePath}/${this.fixtureName}-comments.json`).catch(() => '{}'),
+                    this.loadFile(`${this.basePath}/${this.fixtureName}-events.json`).catch(() => '{}')
+                ]).then(([issuesJSON, csv, commentsJSON, eventsJSON]) => {
+                    Object.entries(JSON.parse(commentsJSON)).forEach(([number, comments]) => {
+                        this.comments.set(parseInt(number, 10), comments);
+                    });
+                    Object.entries(JSON.parse(eventsJSON)).forEach(([number, events]) => {
+                        this.events.set(parseInt(number, 10), events);
+                    });
+
+                    return { issues: JSON.parse(issuesJSON), csv };
+                });
+            }
+
+            return this.fixturesPromise;
+        }
+
+        /**
+         * Answer a request like GitHub would
+         * @param {string} url - Request URL
+         * @param {Object} init - Fetch options (only signal is used)
+         * @returns {Promise<Response>} Response built from the fixtures
+         */
+        async fetch(url, init = {}) {
+            init.signal?.throwIfAborted();
+
+            const { issues, csv } = await this.loadFixtures();
+            const requestUrl = new URL(url);
+
+            if (requestUrl.hostname === 'raw.githubusercontent.com') {
+                return this.getRawFile(requestUrl, csv);
+            }
+
+            if (requestUrl.pathname === '/rate_limit') {
+                const rate = { ...this.rateLimit, reset: this.getResetTime(), used: 0 };
+                return this.createJSONResponse({ resources: { core: rate }, rate });
+            }
+
+            if (requestUrl.pathname === '/user') {
+                return this.createJSONResponse({ login: 'fixture-user', name: 'Fixture User', html_url: 'https://github.com/fixture-user' });
+            }
+
+            const userMatch = requestUrl.pathname.match(/^\/users\/([^/]+)$/);
+            if (userMatch) {
+                const user = this.findUser(issues, decodeURIComponent(userMatch[1]));
+                return user ? this.createJSONResponse(user) : this.createJSONResponse({ message: 'Not Found' }, 404);
+            }
+
+            if (/^\/repos\/[^/]+\/[^/]+\/issues$/.test(requestUrl.pathname)) {
+                return init.method === 'POST' ?
+                    this.createIssue(issues, requestUrl, JSON.parse(init.body)) :
+                    this.listIssues(issues, requestUrl);
+            }
+
+            const commentsMatch = requestUrl.pathname.match(/^\/repos\/[^/]+\/[^/]+\/issues\/(\d+)\/comments$/);
+            if (commentsMatch) {
+                const issue = issues.find(candidate => candidate.number === parseInt(commentsMatch[1], 10));
+
+                if (!issue) {
+                    return this.createJSONResponse({ message: 'Not Found' }, 404);
+                }
+
+                return init.method === 'POST' ?
+                    this.createComment(issue, JSON.parse(init.body)) :
+                    this.createJSONResponse(this.comments.get(issue.number) || []);
+            }
+
+            const eventsMatch = requestUrl.pathname.match(/^\/repos\/[^/]+\/[^/]+\/issues\/(\d+)\/events$/);
+            if (eventsMatch) {
+                const issueNumber = parseInt(eventsMatch[1], 10);
+
+                return issues.some(issue => issue.number === issueNumber) ?
+                    this.createJSONResponse(this.events.get(issueNumber) || []) :
+                    this.createJSONResponse({ message: 'Not Found' }, 404);
+            }
+
+            return this.createJSONResponse({ message: 'Not Found' }, 404);
+        }
+
+        /**
+         * Serve a file from raw.githubusercontent.com: the codecheckers CSV, the certificate
+         * listing of the fixture set (<set>-register.csv, if it has one) or the issue template
+         * @param {URL} requestUrl - Request URL
+         * @param {string} csv - Codecheckers CSV
+         * @returns {Promise<Response>} File, or 404 like GitHub for a missing file
+         */
+        async getRawFile(requestUrl, csv) {
+            const textResponse = text => this.createResponse(text, { headers: { 'Content-Type': 'text/plain' }, quota: false });
+
+            if (requestUrl.pathname.endsWith('/codecheckers.csv')) {
+                return textResponse(csv);
+            }
+
+            const file = requestUrl.pathname.endsWith('.csv') ?
+                `${this.fixtureName}-register.csv` :
+                requestUrl.pathname.endsWith('.md') ? 'issue-template.md' : null;
+
+            try {
+                if (file) {
+                    return textResponse(await this.loadFile(`${this.basePath}/${file}`));
+                }
+            } catch (error) {
+                // Missing fixture files are answered like missing files on GitHub
+            }
+
+            return this.createResponse('404: Not Found', { status: 404, quota: false });
+        }
+
+        /**
+         * Open a new issue in the fixture set (kept in memory until the page is reloaded)
+         * @param {Array} issues - All fixture issues
+         * @param {URL} requestUrl - Request URL (/repos/{owner}/{repo}/issues)
+         * @param {Object} newIssue - Request body ({ title, body, labels })
+         * @returns {Response} Created issue (201)
+         */
+        createIssue(issues, requestUrl, { title, body = '', labels = [] }) {
+            const repository = requestUrl.pathname.split('/').slice(2, 4).join('/');
+            const number = issues.reduce((max, issue) => Math.max(max, issue.number), 0) + 1;
+            const now = new Date().toISOString();
+            const issue = {
+                id: 3000000000 + number,
+                number,
+                title,
+                body,
+                html_url: `https://github.com/${repository}/issues/${number}`,
+                user: { login: 'fixture-user', avatar_url: 'assets/images/icon-github.svg', html_url: 'https://github.com/fixture-user' },
+                labels: labels.map(name => ({ name, color: 'ededed', description: '' })),
+                state: 'open',
+                assignee: null,
+                assignees: [],
+                comments: 0,
+                created_at: now,
+                updated_at: now,
+                closed_at: null
+            };
+
+            issues.unshift(issue);
+            return this.createJSONResponse(issue, 201);
+        }
+
+        /**
+         * Comment on a fixture issue (kept in memory until the page is reloaded)
+         * @param {Object} issue - Fixture issue
+         * @param {Object} newComment - Request body ({ body })
+         * @returns {Response} Created comment (201)
+         */
+        createComment(issue, { body }) {
+            const comments = this.comments.get(issue.number) || [];
+            const id = 4000000000 + issue.number * 1000 + comments.length;
+            const now = new Date().toISOString();
+            const comment = {
+                id,
+                body,
+                html_url: `${issue.html_url}#issuecomment-${id}`,
+                user: { login: 'fixture-user', avatar_url: 'assets/images/icon-github.svg', html_url: 'https://github.com/fixture-user' },
+                created_at: now,
+                updated_at: now
+            };
+
+            this.comments.set(issue.number, [...comments, comment]);
+            issue.comments++;
+            issue.updated_at = now;
+
+            return this.createJSONResponse(comment, 201);
+        }
+
+        /**
+         * List issues with GitHub's filtering, sorting and Link header pagination
+         * @param {Array} issues - All fixture issues
+         * @param {URL} requestUrl - Request URL with query parameters
+         * @returns {Response} One page of issues
+         */
+        listIssues(issues, requestUrl) {
+            const params = requestUrl.searchParams;
+            const state = params.get('state') || 'open';
+            const labels = params.get('labels') ? params.get('labels').split(',').map(label => label.trim().toLowerCase()) : [];
+            const since = params.get('since') ? new Date(params.get('since')) : null;
+            const sortField = params.get('sort') === 'updated' ? 'updated_at' : 'created_at';
+            const direction = params.get('direction') === 'asc' ? 1 : -1;
+            const perPage = Math.min(parseInt(params.get('per_page') || '30', 10), 100);
+            const page = parseInt(params.get('page') || '1', 10);
+
+            const matching = issues
+                .filter(issue => state === 'all' || issue.state === state)
+                .filter(issue => labels.every(label => issue.labels.some(issueLabel => issueLabel.name.toLowerCase() === label)))
+                .filter(issue => !since || new Date(issue.updated_at) >= since)
+                .sort((a, b) => direction * (new Date(a[sortField]) - new Date(b[sortField])));
+
+            const lastPage = Math.max(1, Math.ceil(matching.length / perPage));
+            const headers = {};
+
+            if (page < lastPage) {
+                const pageUrl = (number) => {
+                    const linkUrl = new URL(requestUrl);
+                    linkUrl.searchParams.set('page', number);
+                    return linkUrl.toString();
+                };
+                headers['Link'] = `<${pageUrl(page + 1)}>; rel="next", <${pageUrl(lastPage)}>; rel="last"`;
+            }
+
+            return this.createJSONResponse(matching.slice((page - 1) * perPage, page * perPage), 200, headers);
+        }
+
+        /**
+         * Build a public profile for a user appearing in the fixtures
+         * @param {Array} issues - All fixture issues
+         * @param {string} username - GitHub username
+         * @returns {Object|null} User object, or null if the user does not appear
+         */
+        findUser(issues, username) {
+            for (const issue of issues) {
+                const user = [issue.user, ...(issue.assignees || [])]
+                    .find(candidate => candidate && candidate.login.toLowerCase() === username.toLowerCase());
+
+                if (user) {
+                    // Derive a display name from the login (e.g. "mira-chen" becomes "Mira Chen")
+                    const name = user.login.split(/[-_]/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
+                    return { ...user, name };
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Reset time reported for the fixed quota (always an hour ahead)
+         * @returns {number} Unix timestamp in seconds
+         */
+        getResetTime() {
+            return Math.floor(Date.now() / 1000) + 3600;
+        }
+
+        /**
+         * Build a JSON response
+         * @param {*} body - Response body
+         * @param {number} status - HTTP status code
+         * @param {Object} headers - Additional response headers
+         * @returns {Response} Fetch response
+         */
+        createJSONResponse(body, status = 200, headers = {}) {
+            return this.createResponse(JSON.stringify(body), {
+                status,
+                headers: { 'Content-Type': 'application/json; charset=utf-8', ...headers }
+            });
+        }
+
+        /**
+         * Build a response, adding the rate limit headers GitHub sends with API responses
+         * @param {string} body - Response body
+         * @param {Object} options - Response options
+         * @param {number} options.status - HTTP status code
+         * @param {Object} options.headers - Response headers
+         * @param {boolean} options.quota - Whether to add X-RateLimit-* headers
+         * @returns {Response} Fetch response
+         */
+        createResponse(body, { status = 200, headers = {}, quota = true } = {}) {
+            const responseHeaders = { ...headers };
+
+            if (quota) {
+                responseHeaders['X-RateLimit-Limit'] = String(this.rateLimit.limit);
+                responseHeaders['X-RateLimit-Remaining'] = String(this.rateLimit.remaining);
+                responseHeaders['X-RateLimit-Reset'] = String(this.getResetTime());
+            }
+
+            return new Response(body, {
+                status,
+                statusText: { 201: 'Created', 404: 'Not Found' }[status] || 'OK',
+                headers: responseHeaders
+            });
+        }
+    }
+
+    return { FixtureBackend };
+}));
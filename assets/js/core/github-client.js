@@ -0,0 +1,790 @@
+/**
+ * GitHub API client for buddy exchange issues
+ *
+ * Part of the environment-independent core: loads as a CommonJS module in Node
+ * and defines the GitHubClient global in the browser. Configuration, transport
+ * (fetch), response cache and token are passed in, so the client runs against
+ * GitHub, the offline fixtures or a test double alike. Calculations on the fetched
+ * issues are left to RegisterAnalysis.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./errors.js'), require('./register-analysis.js'));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (errors, analysis) {
+    'use strict';
+
+    const { GitHubAPIError, RateLimitError, NetworkError, NotFoundError, UnauthorizedError, ServerError } = errors;
+    const { RegisterAnalysis } = analysis;
+
+    class GitHubClient {
+        /**
+         * @param {Object} options - Client options
+         * @param {Object} options.config - Application configuration (BuddyExchangeConfig or an object of the same shape)
+         * @param {Function} options.fetchImplementation - Transport with the signature of fetch() (e.g. FixtureBackend.fetch)
+         * @param {Object|null} options.cache - Response cache with get(url) and set(url, entry) methods (null disables caching)
+         * @param {Function} options.tokenProvider - Returns the personal access token to send, or null
+         */
+        constructor({
+            config,
+            fetchImplementation = (url, init) => fetch(url, init),
+            cache = null,
+            tokenProvider = () => null
+        }) {
+            this.config = config;
+            this.repo = config.repository.fullName;
+            this.baseURL = 'https://api.github.com';
+
+            // Parses the files fetched from the register repositories
+            this.registerAnalysis = new RegisterAnalysis(config);
+
+            // Optional callback receiving pagination progress ({ source, page, itemCount, hasMore })
+            this.onProgress = null;
+
+            // Transport for all requests
+            this.fetchImplementation = fetchImplementation;
+
+            // Source of the personal access token
+            this.tokenProvider = tokenProvider;
+
+            // Persistent response cache used for ETag revalidation
+            this.cache = cache;
+
+            // Oldest storage time (ms) of the cached responses returned in cache-only mode
+            this.cachedDataTimestamp = null;
+
+            // Latest quota reported by GitHub in the X-RateLimit-* headers ({ limit, remaining, reset })
+            this.rateLimit = null;
+
+            // Optional callback receiving quota updates ({ limit, remaining, reset, low })
+            this.onRateLimitChange = null;
+
+            // Resolvers of non-essential requests paused until the quota resets
+            this.quotaWaiters = [];
+
+            // Timer re-checking the quota once it has reset
+            this.quotaResetTimer = null;
+        }
+
+        /**
+         * Get the personal access token to send
+         * @returns {string|null} Token or null
+         */
+        getToken() {
+            return this.tokenProvider();
+        }
+
+        /**
+         * Build request headers, adding an Authorization header when a token is available
+         * @param {string|null} token - Token to send (defaults to the stored token)
+         * @returns {Object} Request headers
+         */
+        getRequestHeaders(token = this.getToken()) {
+            const headers = {
+                'Accept': 'application/vnd.github+json'
+            };
+
+            if (token) {
+                headers['Authorization'] = `Bearer ${token}`;
+            }
+
+            return headers;
+        }
+
+        /**
+         * Send a request to the GitHub API
+         * @param {string} url - Full request URL
+         * @param {Object} options - Request options
+         * @param {string|null} options.token - Token to send (defaults to the stored token)
+         * @param {Object} options.headers - Additional request headers
+         * @param {string} options.method - HTTP method
+         * @param {string|null} options.body - Request body
+         * @param {number} options.maxAttempts - Attempts for network failures and 5xx responses (defaults to github.retry.maxAttempts)
+         * @param {boolean} options.essential - Non-essential requests wait while the quota is low
+         * @param {AbortSignal|null} options.signal - Cancels the request (rejects with an AbortError)
+         * @returns {Promise<Response>} Fetch response
+         */
+        async request(url, {
+            token = this.getToken(),
+            headers = {},
+            method = 'GET',
+            body = null,
+            maxAttempts = this.config.github.retry.maxAttempts,
+            essential = true,
+            signal = null
+        } = {}) {
+            if (!essential) {
+                await this.waitForQuota(signal);
+            }
+
+            const init = { method, headers: { ...this.getRequestHeaders(token), ...headers }, signal };
+            if (body !== null) {
+                init.body = body;
+            }
+
+            const response = await this.fetchWithRetry(url, init, maxAttempts);
+
+            this.updateRateLimit(response);
+            return response;
+        }
+
+        /**
+         * Fetch a URL, retrying network failures and 5xx responses with exponential backoff and jitter
+         * @param {string} url - Full request URL
+         * @param {Object} init - Fetch options (init.signal also cancels the wait between attempts)
+         * @param {number} maxAttempts - Total number of attempts
+         * @returns {Promise<Response>} Fetch response (the last one if every attempt failed with a 5xx status)
+         * @throws {NetworkError} If no attempt received a response
+         */
+        async fetchWithRetry(url, init = {}, maxAttempts = this.config.github.retry.maxAttempts) {
+            const { baseDelay } = this.config.github.retry;
+
+            for (let attempt = 1; ; attempt++) {
+                let response = null;
+                let networkError = null;
+
+                try {
+                    response = await this.fetchImplementation(url, init);
+                } catch (error) {
+                    // Cancellation is not a failure and must not be retried
+                    if (error.name === 'AbortError') {
+                        throw error;
+                    }
+                    networkError = new NetworkError(`Could not reach ${new URL(url).host}: ${error.message}`, { url });
+                }
+
+                const transient = networkError !== null || response.status >= 500;
+
+                if (!transient || attempt >= maxAttempts) {
+                    if (networkError) {
+                        throw networkError;
+                    }
+                    return response;
+                }
+
+                // Double the delay with every attempt and spread retries of concurrent requests
+                const delay = baseDelay * 2 ** (attempt - 1) * (0.5 + Math.random());
+                console.warn(`Request to ${url} failed (${networkError ? 'network error' : response.status}), retrying in ${Math.round(delay)} ms`);
+                await this.wait(delay, init.signal);
+            }
+        }
+
+        /**
+         * Wait for a number of milliseconds
+         * @param {number} delay - Delay in milliseconds
+         * @param {AbortSignal|null} signal - Cancels the wait (rejects with the abort reason)
+         * @returns {Promise<void>}
+         */
+        wait(delay, signal = null) {
+            return new Promise((resolve, reject) => {
+                if (signal && signal.aborted) {
+                    reject(signal.reason);
+                    return;
+                }
+
+                const onAbort = () => {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                };
+                const timer = setTimeout(() => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                }, delay);
+
+                signal?.addEventListener('abort', onAbort, { once: true });
+            });
+        }
+
+        /**
+         * Record the quota reported in the X-RateLimit-* headers of a response
+         * @param {Response} response - Fetch response
+         */
+        updateRateLimit(response) {
+            const remaining = response.headers.get('X-RateLimit-Remaining');
+            const reset = response.headers.get('X-RateLimit-Reset');
+
+            // Responses from other hosts (e.g. raw.githubusercontent.com) carry no quota
+            if (remaining === null || reset === null) {
+                return;
+            }
+
+            this.setRateLimit({
+                limit: parseInt(response.headers.get('X-RateLimit-Limit'), 10),
+                remaining: parseInt(remaining, 10),
+                reset: new Date(parseInt(reset, 10) * 1000)
+            });
+        }
+
+        /**
+         * Replace the known quota, notify listeners, and resume or pause the scheduler
+         * @param {Object} rateLimit - Quota ({ limit, remaining, reset })
+         */
+        setRateLimit(rateLimit) {
+            this.rateLimit = rateLimit;
+            const low = this.isQuotaLow();
+
+            if (this.config.rateLimit.showRateLimitInfo && rateLimit.remaining < this.config.rateLimit.warningThreshold) {
+                console.warn(`GitHub API rate limit low: ${rateLimit.remaining} requests remaining. Resets at ${rateLimit.reset}`);
+            }
+
+            if (!low) {
+                this.quotaWaiters.splice(0).forEach(resolve => resolve());
+            }
+
+            // The quota banner shows below the warning threshold and needs the fresh quota after the reset
+            if (rateLimit.remaining < this.config.rateLimit.warningThreshold && rateLimit.reset.getTime() > Date.now()) {
+                this.scheduleQuotaReset();
+            }
+
+            if (this.onRateLimitChange) {
+                this.onRateLimitChange({ ...rateLimit, low });
+            }
+        }
+
+        /**
+         * Whether the quota is too low for non-essential requests
+         * @returns {boolean} True until the quota resets
+         */
+        isQuotaLow() {
+            return !!this.rateLimit &&
+                this.rateLimit.remaining <= this.config.rateLimit.pauseThreshold &&
+                this.rateLimit.reset.getTime() > Date.now();
+        }
+
+        /**
+         * Wait until the quota allows non-essential requests again
+         * @param {AbortSignal|null} signal - Cancels the wait (rejects with the abort reason)
+         * @returns {Promise<void>}
+         */
+        async waitForQuota(signal = null) {
+            while (this.isQuotaLow()) {
+                signal?.throwIfAborted();
+                console.log(`Pausing non-essential request until the rate limit resets at ${this.rateLimit.reset}`);
+
+                await new Promise((resolve, reject) => {
+                    const onAbort = () => {
+                        this.quotaWaiters = this.quotaWaiters.filter(waiter => waiter !== resume);
+                        reject(signal.reason);
+                    };
+                    const resume = () => {
+                        signal?.removeEventListener('abort', onAbort);
+                        resolve();
+                    };
+
+                    this.quotaWaiters.push(resume);
+                    signal?.addEventListener('abort', onAbort, { once: true });
+                });
+            }
+        }
+
+        /**
+         * Re-check the quota shortly after it resets, resuming paused requests and updating the quota banner
+         */
+        scheduleQuotaReset() {
+            if (this.quotaResetTimer) {
+                return;
+            }
+
+            // Give GitHub a moment past the reset time before asking again
+            const delay = this.rateLimit.reset.getTime() - Date.now() + 1000;
+
+            this.quotaResetTimer = setTimeout(async () => {
+                this.quotaResetTimer = null;
+
+                try {
+                    // The rate limit endpoint does not count against the quota
+                    await this.checkRateLimit();
+                } catch (error) {
+                    // Assume the full quota is available again; the next response corrects this
+                    this.setRateLimit({ ...this.rateLimit, remaining: this.rateLimit.limit });
+                }
+            }, delay);
+        }
+
+        /**
+         * Build the typed error for a failed response
+         * @param {Response} response - Failed fetch response
+         * @returns {GitHubAPIError} Error describing the failure
+         */
+        getResponseError(response) {
+            const details = { status: response.status, url: response.url };
+            const retryAfter = response.headers.get('Retry-After');
+
+            // Primary limit: no requests left; secondary limit: Retry-After on 403/429
+            if ((response.status === 403 || response.status === 429) &&
+                (response.headers.get('X-RateLimit-Remaining') === '0' || retryAfter !== null)) {
+                const reset = retryAfter !== null ?
+                    new Date(Date.now() + parseInt(retryAfter, 10) * 1000) :
+                    (this.rateLimit ? this.rateLimit.reset : null);
+                const resetText = reset ? ` It resets at ${reset.toLocaleTimeString()}.` : '';
+                return new RateLimitError(`GitHub API rate limit exceeded.${resetText}`, { ...details, reset });
+            }
+
+            if (response.status === 401) {
+                return new UnauthorizedError('The token was rejected by GitHub. Please check that it is valid and has not expired.', details);
+            }
+
+            if (response.status === 404) {
+                return new NotFoundError(`GitHub API error: ${response.status} Not Found`, details);
+            }
+
+            if (response.status >= 500) {
+                return new ServerError(`GitHub server error: ${response.status} ${response.statusText}`, details);
+            }
+
+            return new GitHubAPIError(`GitHub API error: ${response.status} ${response.statusText}`, details);
+        }
+
+        /**
+         * Fetch a JSON resource through the response cache, revalidating cached entries with their ETag
+         * @param {string} url - Full request URL
+         * @param {Object} options - Fetch options
+         * @param {boolean} options.cacheOnly - Only read from the cache, without a network request
+         * @param {AbortSignal|null} options.signal - Cancels the request
+         * @param {boolean} options.essential - Non-essential requests wait while the quota is low
+         * @returns {Promise<Object|null>} Response data ({ body, link }), or null in cache-only mode when nothing is cached
+         */
+        async fetchCachedJSON(url, { cacheOnly = false, signal = null, essential = true } = {}) {
+            const cached = this.cache ? await this.cache.get(url) : null;
+
+            if (cacheOnly) {
+                if (!cached) {
+                    return null;
+                }
+
+                if (this.cachedDataTimestamp === null || cached.storedAt < this.cachedDataTimestamp) {
+                    this.cachedDataTimestamp = cached.storedAt;
+                }
+
+                return { body: cached.body, link: cached.link };
+            }
+
+            const headers = {};
+            if (cached && cached.etag) {
+                headers['If-None-Match'] = cached.etag;
+            }
+
+            const response = await this.request(url, { headers, signal, essential });
+
+            // Not modified: reuse the cached body (304 responses are free of rate limit cost)
+            if (response.status === 304 && cached) {
+                this.cache.set(url, cached);
+                return { body: cached.body, link: cached.link };
+            }
+
+            if (!response.ok) {
+                throw this.getResponseError(response);
+            }
+
+            const body = await response.json();
+            const link = response.headers.get('Link');
+
+            if (this.cache) {
+                this.cache.set(url, { etag: response.headers.get('ETag'), link, body });
+            }
+
+            return { body, link };
+        }
+
+        /**
+         * Fetch the user a token belongs to (used to validate a token before saving it)
+         * @param {string} token - Personal access token to validate
+         * @returns {Promise<Object>} GitHub user object
+         */
+        async fetchAuthenticatedUser(token) {
+            const response = await this.request(`${this.baseURL}/user`, { token });
+
+            if (!response.ok) {
+                throw this.getResponseError(response);
+            }
+
+            return await response.json();
+        }
+
+        /**
+         * Fetch public profile information for a GitHub user
+         * @param {string} username - GitHub username
+         * @returns {Promise<Object|null>} GitHub user object, or null if the user does not exist
+         */
+        async fetchUserProfile(username) {
+            // Profile lookups only fill in form fields, so they give way to register data when the quota is low
+            const response = await this.request(`${this.baseURL}/users/${encodeURIComponent(username)}`, { essential: false });
+
+            if (response.status === 404) {
+                return null;
+            }
+
+            if (!response.ok) {
+                throw this.getResponseError(response);
+            }
+
+            return await response.json();
+        }
+
+        /**
+         * Extract the URL of the next page from a Link response header
+         * @param {string|null} linkHeader - Value of the Link header
+         * @returns {string|null} URL of the next page, or null on the last page
+         */
+        parseNextPageUrl(linkHeader) {
+            if (!linkHeader) {
+                return null;
+            }
+
+            // Format: <https://api.github.com/...&page=2>; rel="next", <...&page=5>; rel="last"
+            for (const part of linkHeader.split(',')) {
+                const match = part.match(/<([^>]+)>\s*;\s*rel="next"/);
+                if (match) {
+                    return match[1];
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Fetch every page of a list endpoint by following Link: rel="next" headers
+         * @param {string} url - URL of the first page
+         * @param {Object} options - Pagination options
+         * @param {number} options.maxPages - Maximum number of pages to fetch
+         * @param {string} options.source - Name reported with progress updates (e.g. 'issues', 'leaderboard')
+         * @param {boolean} options.cacheOnly - Only read pages from the response cache
+         * @param {AbortSignal|null} options.signal - Cancels the sweep between and during page requests
+         * @param {boolean} options.essential - Non-essential sweeps wait while the quota is low
+         * @returns {Promise<Array|null>} Items from all fetched pages, or null in cache-only mode when a page is not cached
+         */
+        async fetchPaginated(url, { maxPages = Infinity, source = null, cacheOnly = false, signal = null, essential = true } = {}) {
+            const items = [];
+            let nextUrl = url;
+            let page = 0;
+
+            while (nextUrl && page < maxPages) {
+                // Cache reads cannot be aborted, so check before every page
+                signal?.throwIfAborted();
+
+                const result = await this.fetchCachedJSON(nextUrl, { cacheOnly, signal, essential });
+
+                if (!result) {
+                    return null;
+                }
+
+                items.push(...result.body);
+                page++;
+
+                nextUrl = this.parseNextPageUrl(result.link);
+
+                if (this.onProgress && !cacheOnly) {
+                    this.onProgress({
+                        source,
+                        page,
+                        itemCount: items.length,
+                        hasMore: !!nextUrl && page < maxPages
+                    });
+                }
+            }
+
+            if (nextUrl) {
+                console.warn(`Stopped fetching ${source || url} after ${maxPages} pages; more results are available`);
+            }
+
+            return items;
+        }
+
+        /**
+         * Fetch all issues from the repository (both open and closed)
+         * @param {number} perPage - Number of issues per page (max 100)
+         * @param {number} maxPages - Maximum number of pages to fetch
+         * @param {Object} options - Fetch options ({ cacheOnly } reads only from the response cache, { signal } cancels the sweep)
+         * @returns {Promise<Array|null>} Array of all GitHub issues, or null in cache-only mode when not cached
+         */
+        async fetchAllIssues(perPage = this.config.github.issuesPerPage, maxPages = this.config.github.maxAllIssuesPages, { cacheOnly = false, signal = null } = {}) {
+            try {
+                const url = `${this.baseURL}/repos/${this.repo}/issues?state=all&sort=created&direction=desc&per_page=${perPage}`;
+
+                return await this.fetchPaginated(url, { maxPages, source: 'register', cacheOnly, signal });
+            } catch (error) {
+                console.error('Error fetching all issues:', error);
+                throw error;
+            }
+        }
+
+        /**
+         * Fetch issues updated at or after a point in time (both open and closed)
+         * @param {string} since - ISO 8601 timestamp passed as the `since` filter
+         * @param {number} perPage - Number of issues per page (max 100)
+         * @param {number} maxPages - Maximum number of pages to fetch
+         * @param {Object} options - Fetch options ({ signal } cancels the sweep)
+         * @returns {Promise<Array>} Array of updated GitHub issues
+         */
+        async fetchIssuesUpdatedSince(since, perPage = this.config.github.issuesPerPage, maxPages = this.config.github.maxAllIssuesPages, { signal = null } = {}) {
+            try {
+                const url = `${this.baseURL}/repos/${this.repo}/issues?state=all&since=${encodeURIComponent(since)}&sort=updated&direction=desc&per_page=${perPage}`;
+
+                return await this.fetchPaginated(url, { maxPages, source: 'register', signal });
+            } catch (error) {
+                console.error('Error fetching updated issues:', error);
+                throw error;
+            }
+        }
+
+        /**
+         * Get the cache key under which the merged issue snapshot of this repository is stored
+         * @returns {string} Cache key
+         */
+        getSnapshotCacheKey() {
+            return `${this.baseURL}/repos/${this.repo}/issues#snapshot`;
+        }
+
+        /**
+         * Read the persisted issue snapshot of this repository from the response cache
+         * @returns {Promise<Object|null>} Snapshot ({ issues, snapshotTime, fullSyncTime }) or null
+         */
+        async loadIssueSnapshot() {
+            const cached = this.cache ? await this.cache.get(this.getSnapshotCacheKey()) : null;
+            return cached ? cached.body : null;
+        }
+
+        /**
+         * Persist the issue snapshot of this repository in the response cache
+         * @param {Object} snapshot - Snapshot ({ issues, snapshotTime, fullSyncTime })
+         */
+        saveIssueSnapshot(snapshot) {
+            if (this.cache) {
+                this.cache.set(this.getSnapshotCacheKey(), { body: snapshot });
+            }
+        }
+
+        /**
+         * Fetch a file from raw.githubusercontent.com through the response cache
+         * @param {string} url - Raw file URL
+         * @param {Object} options - Fetch options ({ cacheOnly } reads only from the response cache, { signal } cancels the request)
+         * @returns {Promise<string|null>} File contents, or null in cache-only mode when nothing is cached
+         * @throws {GitHubAPIError} If the file could not be fetched
+         */
+        async fetchRawFile(url, { cacheOnly = false, signal = null } = {}) {
+            if (cacheOnly) {
+                const cached = this.cache ? await this.cache.get(url) : null;
+                return cached ? cached.body : null;
+            }
+
+            // No API headers: raw.githubusercontent.com neither needs the token nor allows them without a preflight
+            const response = await this.fetchWithRetry(url, { signal });
+
+            if (!response.ok) {
+                throw this.getResponseError(response);
+            }
+
+            const text = await response.text();
+
+            if (this.cache) {
+                this.cache.set(url, { body: text });
+            }
+
+            return text;
+        }
+
+        /**
+         * Fetch codecheckers metadata from CSV
+         * @param {Object} options - Fetch options ({ cacheOnly } reads only from the response cache, { signal } cancels the request)
+         * @returns {Promise<Map>} Map of usernames to codecheckers metadata (empty in cache-only mode when nothing is cached)
+         * @throws {GitHubAPIError} If the CSV could not be fetched
+         */
+        async fetchCodecheckersMetadata({ cacheOnly = false, signal = null } = {}) {
+            try {
+                const csvUrl = 'https://raw.githubusercontent.com/codecheckers/codecheckers/refs/heads/master/codecheckers.csv';
+                const csvText = await this.fetchRawFile(csvUrl, { cacheOnly, signal });
+
+                if (csvText === null) {
+                    return new Map();
+                }
+
+                const codecheckersMap = this.registerAnalysis.parseCodecheckersCSV(csvText);
+                console.log(`Loaded metadata for ${codecheckersMap.size} codecheckers`);
+                return codecheckersMap;
+
+            } catch (error) {
+                console.error('Error fetching codecheckers metadata:', error);
+                throw error;
+            }
+        }
+
+        /**
+         * Get the raw URL of a file in the register repository
+         * @param {string} path - Path of the file in the repository
+         * @returns {string} Raw file URL
+         */
+        getRawFileUrl(path) {
+            return `https://raw.githubusercontent.com/${this.repo}/refs/heads/${this.config.repository.branch}/${path}`;
+        }
+
+        /**
+         * Get the URL of the certificate listing published in the register repository
+         * @returns {string} Raw file URL
+         */
+        getRegisterListingUrl() {
+            return this.getRawFileUrl(this.config.registerListing.path);
+        }
+
+        /**
+         * Fetch the certificate listing published in the register repository
+         * @param {Object} options - Fetch options ({ signal } cancels the request)
+         * @returns {Promise<Array>} Listed identifiers (see parseRegisterListing)
+         * @throws {GitHubAPIError} If the listing could not be fetched
+         */
+        async fetchRegisterListing({ signal = null } = {}) {
+            try {
+                const listing = this.registerAnalysis.parseRegisterListing(await this.fetchRawFile(this.getRegisterListingUrl(), { signal }));
+                console.log(`Loaded ${listing.length} certificates from the register listing`);
+                return listing;
+            } catch (error) {
+                console.error('Error fetching register listing:', error);
+                throw error;
+            }
+        }
+
+        /**
+         * Fetch the buddy exchange request template of the register, without its front matter
+         * @param {Object} options - Fetch options ({ signal } cancels the request)
+         * @returns {Promise<string>} Template body to prefill new issues with
+         * @throws {GitHubAPIError} If the template could not be fetched
+         */
+        async fetchIssueTemplate({ signal = null } = {}) {
+            try {
+                const { issueTemplateDirectory, issueTemplate } = this.config.urls;
+                const template = await this.fetchRawFile(this.getRawFileUrl(`${issueTemplateDirectory}/${issueTemplate}`), { signal });
+                return this.registerAnalysis.stripTemplateFrontMatter(template);
+            } catch (error) {
+                console.error('Error fetching issue template:', error);
+                throw error;
+            }
+        }
+
+        /**
+         * Open a new issue in the register repository
+         * Not retried: a request that failed after reaching GitHub may still have created the issue
+         * @param {Object} issue - New issue ({ title, body, labels })
+         * @returns {Promise<Object>} Created GitHub issue
+         * @throws {GitHubAPIError} If the issue could not be created
+         */
+        async createIssue({ title, body, labels }) {
+            try {
+                const response = await this.request(`${this.baseURL}/repos/${this.repo}/issues`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ title, body, labels }),
+                    maxAttempts: 1
+                });
+
+                if (!response.ok) {
+                    throw this.getResponseError(response);
+                }
+
+                const issue = await response.json();
+                console.log(`Created issue #${issue.number}: ${issue.title}`);
+                return issue;
+            } catch (error) {
+                console.error('Error creating issue:', error);
+                throw error;
+            }
+        }
+
+        /**
+         * Fetch all comments of an issue, oldest first
+         * @param {number} issueNumber - Issue number
+         * @param {Object} options - Fetch options ({ signal } cancels the request, { essential: false } waits while the quota is low)
+         * @returns {Promise<Array>} GitHub issue comments
+         * @throws {GitHubAPIError} If the comments could not be fetched
+         */
+        async fetchIssueComments(issueNumber, { signal = null, essential = true } = {}) {
+            try {
+                const url = `${this.baseURL}/repos/${this.repo}/issues/${issueNumber}/comments?per_page=${this.config.github.issuesPerPage}`;
+
+                return await this.fetchPaginated(url, { source: 'comments', signal, essential });
+            } catch (error) {
+                console.error(`Error fetching comments of issue #${issueNumber}:`, error);
+                throw error;
+            }
+        }
+
+        /**
+         * Fetch all events of an issue (label changes, assignments, renames, ...), oldest first
+         * @param {number} issueNumber - Issue number
+         * @param {Object} options - Fetch options ({ signal } cancels the request, { essential: false } waits while the quota is low)
+         * @returns {Promise<Array>} GitHub issue events
+         * @throws {GitHubAPIError} If the events could not be fetched
+         */
+        async fetchIssueEvents(issueNumber, { signal = null, essential = true } = {}) {
+            try {
+                const url = `${this.baseURL}/repos/${this.repo}/issues/${issueNumber}/events?per_page=${this.config.github.issuesPerPage}`;
+
+                return await this.fetchPaginated(url, { source: 'events', signal, essential });
+            } catch (error) {
+                console.error(`Error fetching events of issue #${issueNumber}:`, error);
+                throw error;
+            }
+        }
+
+        /**
+         * Comment on an issue of the register repository
+         * Not retried: a request that failed after reaching GitHub may still have created the comment
+         * @param {number} issueNumber - Issue number
+         * @param {string} body - Comment text (Markdown)
+         * @returns {Promise<Object>} Created GitHub issue comment
+         * @throws {GitHubAPIError} If the comment could not be created
+         */
+        async createIssueComment(issueNumber, body) {
+            try {
+                const response = await this.request(`${this.baseURL}/repos/${this.repo}/issues/${issueNumber}/comments`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ body }),
+                    maxAttempts: 1
+                });
+
+                if (!response.ok) {
+                    throw this.getResponseError(response);
+                }
+
+                const comment = await response.json();
+                console.log(`Commented on issue #${issueNumber}: ${comment.html_url}`);
+                return comment;
+            } catch (error) {
+                console.error(`Error commenting on issue #${issueNumber}:`, error);
+                throw error;
+            }
+        }
+
+        /**
+         * Check API rate limit status
+         * @returns {Promise<Object>} Rate limit information
+         */
+        async checkRateLimit() {
+            try {
+                const response = await this.request(`${this.baseURL}/rate_limit`);
+
+                if (!response.ok) {
+                    throw this.getResponseError(response);
+                }
+
+                const rateLimit = await response.json();
+
+                if (rateLimit.rate) {
+                    this.setRateLimit({
+                        limit: rateLimit.rate.limit,
+                        remaining: rateLimit.rate.remaining,
+                        reset: new Date(rateLimit.rate.reset * 1000)
+                    });
+                }
+
+                return rateLimit;
+            } catch (error) {
+                console.error('Error checking rate limit:', error);
+                throw error;
+            }
+        }
+    }
+
+    return { GitHubClient };
+}));
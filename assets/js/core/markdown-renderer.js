@@ -0,0 +1,131 @@
+/**
+ * Markdown rendering for text written by GitHub users
+ *
+ * Issue bodies and comments can be written by anyone, so raw HTML in them is shown
+ * as text and links or images may only use http(s), mailto or relative URLs. Links
+ * and images are written here, everything else marked produces is escaped by marked.
+ * Part of the environment-independent core: loads as a CommonJS module in Node and
+ * defines the MarkdownRenderer global in the browser.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    // URL schemes links and images may use (URLs without a scheme are relative)
+    const SAFE_SCHEMES = ['http', 'https', 'mailto'];
+
+    // Named character references that may hide a scheme (names are case-sensitive);
+    // others stay encoded, and isSafeUrl rejects a reference in front of the path
+    const NAMED_ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', sol: '/', quest: '?',
+        num: '#', period: '.', lpar: '(', rpar: ')', equals: '=', Tab: '\t', NewLine: '\n'
+    };
+
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Decode character references the way a browser does in an attribute value
+     * @param {string} text - Text with character references (e.g. "javascript&#58;")
+     * @returns {string} Decoded text
+     */
+    function decodeEntities(text) {
+        return text
+            // The semicolon of numeric references is optional ("&#58" is a colon as well)
+            .replace(/&#(?:x([0-9a-f]+)|([0-9]+));?/gi, (reference, hex, decimal) => {
+                const codePoint = parseInt(hex || decimal, hex ? 16 : 10);
+                return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '\ufffd';
+            })
+            .replace(/&([a-z][a-z0-9]*);/gi, (reference, name) =>
+                Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : reference);
+    }
+
+    /**
+     * Check whether a URL may be used in a link or image
+     * @param {string} url - Decoded URL
+     * @returns {boolean} True for http(s), mailto and relative URLs
+     */
+    function isSafeUrl(url) {
+        // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+        const compact = url.replace(/[\u0000- \u007f]/g, '');
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+
+        if (scheme) {
+            return SAFE_SCHEMES.includes(scheme[1].toLowerCase());
+        }
+
+        // A relative URL has no colon or undecoded reference before its path
+        return !/[:&]/.test(compact.split(/[/?#]/)[0]);
+    }
+
+    /**
+     * Build the title attribute of a link or image
+     * @param {string|null} title - Title from the markdown (escaped by marked)
+     * @returns {string} Attribute with a leading space, or an empty string
+     */
+    function titleAttribute(title) {
+        return title ? ` title="${escapeHtml(decodeEntities(title))}"` : '';
+    }
+
+    class MarkdownRenderer {
+        /**
+         * @param {Object} markedLibrary - The marked library (the marked global in the browser)
+         */
+        constructor(markedLibrary) {
+            this.marked = new markedLibrary.Marked({
+                breaks: true,
+                gfm: true
+            });
+
+            this.marked.use({
+                renderer: {
+                    // Raw HTML is shown as written; HTML comments (e.g. template hints) are dropped
+                    html(html) {
+                        return /^\s*<!--[\s\S]*-->\s*$/.test(html) ? '' : escapeHtml(html);
+                    },
+                    // Unsafe links and images keep their text only
+                    link(href, title, text) {
+                        const url = decodeEntities(href || '');
+
+                        return isSafeUrl(url) ?
+                            `<a href="${escapeHtml(url)}"${titleAttribute(title)}>${text}</a>` :
+                            text;
+                    },
+                    image(href, title, text) {
+                        const url = decodeEntities(href || '');
+                        const alt = escapeHtml(decodeEntities(text || ''));
+
+                        return isSafeUrl(url) ? `<img src="${escapeHtml(url)}" alt="${alt}"${titleAttribute(title)}>` : alt;
+                    }
+                }
+            });
+        }
+
+        /**
+         * Render markdown as HTML that is safe to insert into the page
+         * @param {string} markdown - Markdown written by a GitHub user
+         * @returns {string} HTML
+         */
+        render(markdown) {
+            return this.marked.parse(markdown);
+        }
+    }
+
+    return { MarkdownRenderer };
+}));
@@ -0,0 +1,1263 @@
+/**
+ * Register calculations on GitHub issue data
+ *
+ * Part of the environment-independent core: loads as a CommonJS module in Node
+ * and defines the RegisterAnalysis global in the browser. All settings come from
+ * the config passed to the constructor.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    /**
+     * Escape text for use in a regular expression
+     * @param {string} text - Literal text
+     * @returns {string} Escaped text
+     */
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // URL parameters holding the issue filters (e.g. ?lang=Python&older=14)
+    const FILTER_PARAMS = {
+        search: 'q',
+        labels: 'labels',
+        author: 'author',
+        language: 'lang',
+        minAgeDays: 'older',
+        maxAgeDays: 'newer'
+    };
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Sections of the buddy exchange request template (buddy-exchange-request.md), matched by heading
+    const REQUEST_FIELDS = [
+        { key: 'title', label: 'Paper', heading: /^paper(?:\s+title)?$/i },
+        { key: 'preprint', label: 'Preprint/DOI', heading: /\b(?:preprint|doi)\b/i },
+        { key: 'repository', label: 'Code', heading: /\b(?:code|repository)\b/i },
+        { key: 'data', label: 'Data', heading: /^data\b/i },
+        { key: 'languages', label: 'Languages', heading: /^(?:programming\s+)?languages?\b|^tools\b/i },
+        { key: 'runtime', label: 'Runtime', heading: /\bruntime\b|\brun\s*time\b/i },
+        { key: 'hardware', label: 'Hardware', heading: /\bhardware\b/i }
+    ];
+
+    // Orderings offered for the available issues list ("newest" is the order the issues are fetched in)
+    const ISSUE_SORT_MODES = ['newest', 'longest-waiting', 'recently-updated', 'most-comments', 'fewest-comments', 'fewest-claims'];
+
+    // Opening sentence of the claim comment, by which claims are recognised
+    const CLAIM_COMMENT_INTRO = 'I would like to claim this issue for CODECHECK review.';
+
+    // Wording of claims written by hand (counted only in comments with an @-mention)
+    const CLAIM_PHRASE = /\b(?:claim(?:ing)?|volunteer(?:ing)?|interested in (?:conducting|doing|checking)|(?:would|'d) like to (?:check|codecheck|review|take))\b/i;
+
+    class RegisterAnalysis {
+        /**
+         * @param {Object} config - Application configuration (BuddyExchangeConfig or an object of the same shape)
+         */
+        constructor(config) {
+            this.config = config;
+            this.repo = config.repository.fullName;
+            this.label = config.labels.buddyExchange; // Used for leaderboard and closed issues
+            this.availableIssuesLabel = config.labels.needsCodechecker; // Used for available issues list
+        }
+
+        /**
+         * Check whether an issue carries a label (case-insensitive)
+         * @param {Object} issue - GitHub issue object
+         * @param {string} labelName - Label name
+         * @returns {boolean} True if the issue has the label
+         */
+        hasLabel(issue, labelName) {
+            return issue.labels.some(label => label.name.toLowerCase() === labelName.toLowerCase());
+        }
+
+        /**
+         * Filter issues to show available ones that have "buddy exchange" label AND (unassigned OR with "needs codechecker" label)
+         * "needs codechecker" label takes precedence - such issues are shown even if assigned
+         * @param {Array} issues - Array of GitHub issues
+         * @returns {Array} Filtered available issues
+         */
+        filterAvailableIssues(issues) {
+            return issues.filter(issue => {
+                // First check if issue has "buddy exchange" label - this is required for all issues
+                if (!this.hasLabel(issue, this.label)) {
+                    return false;
+                }
+
+                // If it has the "needs codechecker" label, include it regardless of assignment
+                if (this.hasLabel(issue, this.availableIssuesLabel)) {
+                    return true;
+                }
+
+                // Otherwise, only include if unassigned
+                const isUnassigned = !issue.assignee && (!issue.assignees || issue.assignees.length === 0);
+                return isUnassigned;
+            });
+        }
+
+        /**
+         * Filter out issues that already have assignees (legacy method for backward compatibility)
+         * @param {Array} issues - Array of GitHub issues
+         * @returns {Array} Filtered issues without assignees
+         */
+        filterUnassignedIssues(issues) {
+            return issues.filter(issue =>
+                !issue.assignee &&
+                (!issue.assignees || issue.assignees.length === 0)
+            );
+        }
+
+        /**
+         * Get formatted issue data for display
+         * @param {Object} issue - GitHub issue object
+         * @returns {Object} Formatted issue data
+         */
+        formatIssueData(issue) {
+            return {
+                id: issue.id,
+                number: issue.number,
+                title: issue.title,
+                body: issue.body,
+                url: issue.html_url,
+                apiUrl: issue.url,
+                createdAt: new Date(issue.created_at),
+                updatedAt: new Date(issue.updated_at),
+                author: {
+                    login: issue.user.login,
+                    avatar: issue.user.avatar_url,
+                    url: issue.user.html_url
+                },
+                request: this.parseRequestBody(issue.body),
+                labels: issue.labels.map(label => ({
+                    name: label.name,
+                    color: label.color,
+                    description: label.description
+                })),
+                comments: issue.comments,
+                state: issue.state
+            };
+        }
+
+        /**
+         * Read the sections of the buddy exchange request template from an issue body
+         *
+         * Sections are recognised by their headings, so reworded or reordered headings
+         * still count. Bodies with fewer than three template sections (e.g. requests made
+         * before the template existed) are marked as unstructured.
+         * @param {string|null} body - Issue body (markdown)
+         * @returns {Object} Request ({ structured, fields: [{ key, label, text, url }] of the filled sections in template order })
+         */
+        parseRequestBody(body) {
+            const sections = [];
+            let section = null;
+
+            (body || '').replace(/<!--[\s\S]*?-->/g, '').split(/\r?\n/).forEach(line => {
+                const heading = line.trim().match(/^#{1,6}\s+(.*?)\s*#*$/);
+
+                if (heading) {
+                    section = { heading: heading[1].replace(/[*_:]/g, '').trim(), lines: [] };
+                    sections.push(section);
+                } else if (section) {
+                    section.lines.push(line);
+                }
+            });
+
+            const found = new Map();
+            sections.forEach(candidate => {
+                const field = REQUEST_FIELDS.find(entry => !found.has(entry.key) && entry.heading.test(candidate.heading));
+                if (field) {
+                    found.set(field.key, candidate.lines);
+                }
+            });
+
+            const fields = REQUEST_FIELDS
+                .filter(field => found.has(field.key))
+                .map(field => ({ key: field.key, label: field.label, ...this.readRequestSection(found.get(field.key)) }))
+                .filter(field => field.text);
+
+            return { structured: found.size >= 3, fields };
+        }
+
+        /**
+         * Plain text and first link of a request template section
+         * @param {Array<string>} lines - Markdown lines of the section
+         * @returns {Object} Section content ({ text: list items joined by commas, url: first link, DOI or null })
+         */
+        readRequestSection(lines) {
+            const markdown = lines.join('\n');
+            const link = markdown.match(/\]\((https?:\/\/[^)\s]+)\)/) || markdown.match(/https?:\/\/[^\s)>\]]+/);
+            const doi = markdown.match(/\b10\.\d{4,9}\/[^\s)>\]]+/);
+
+            const text = lines
+                .map(line => line.trim()
+                    .replace(/^(?:[-*+]|\d+\.)\s+/, '')
+                    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+                    .replace(/(\*\*|__)(.*?)\1/g, '$2'))
+                .filter(Boolean)
+                .join(', ');
+
+            return {
+                text,
+                url: link ? (link[1] || link[0]) : (doi ? `https://doi.org/${doi[0]}` : null)
+            };
+        }
+
+        /**
+         * Programming languages listed in the "Languages and tools" section of an issue body
+         * @param {Object} issue - GitHub issue object
+         * @returns {Array<string>} Languages in the order they are listed (e.g. ["R", "Python"])
+         */
+        getIssueLanguages(issue) {
+            const section = this.parseRequestBody(issue.body).fields.find(field => field.key === 'languages');
+
+            if (!section) {
+                return [];
+            }
+
+            const languages = section.text
+                .split(/[,;]|\band\b/)
+                .map(language => language.replace(/^[-*\s]+|[.\s]+$/g, ''))
+                .filter(Boolean);
+
+            // Keep the first spelling of each language
+            return languages.filter((language, index) =>
+                languages.findIndex(other => other.toLowerCase() === language.toLowerCase()) === index
+            );
+        }
+
+        /**
+         * Labels, authors and languages present in a list of issues, offered as filter choices
+         * @param {Array} issues - Array of GitHub issues
+         * @returns {Object} Filter choices ({ labels: [{ name, color, count }], authors, languages })
+         */
+        collectIssueFilterOptions(issues) {
+            const labels = new Map();
+            const authors = new Set();
+            const languages = new Map();
+
+            issues.forEach(issue => {
+                issue.labels.forEach(label => {
+                    const entry = labels.get(label.name) || { name: label.name, color: label.color, count: 0 };
+                    entry.count++;
+                    labels.set(label.name, entry);
+                });
+                authors.add(issue.user.login);
+                this.getIssueLanguages(issue).forEach(language => {
+                    if (!languages.has(language.toLowerCase())) {
+                        languages.set(language.toLowerCase(), language);
+                    }
+                });
+            });
+
+            const byName = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' });
+
+            return {
+                // Most frequent labels first
+                labels: Array.from(labels.values()).sort((a, b) => b.count - a.count || byName(a.name, b.name)),
+                authors: Array.from(authors).sort(byName),
+                languages: Array.from(languages.values()).sort(byName)
+            };
+        }
+
+        /**
+         * Filters that let every issue through
+         * @returns {Object} Issue filters ({ search, labels, author, language, minAgeDays, maxAgeDays })
+         */
+        getDefaultIssueFilters() {
+            return { search: '', labels: [], author: '', language: '', minAgeDays: null, maxAgeDays: null };
+        }
+
+        /**
+         * Check whether any issue filter is set
+         * @param {Object} filters - Issue filters
+         * @returns {boolean} True if the filters may hide issues
+         */
+        hasActiveIssueFilters(filters) {
+            return Boolean(filters.search.trim() || filters.labels.length > 0 || filters.author || filters.language ||
+                filters.minAgeDays !== null || filters.maxAgeDays !== null);
+        }
+
+        /**
+         * Keep the issues matching all filters
+         * Every word of the search text must appear in the title or body, and every selected label must be present
+         * @param {Array} issues - Array of GitHub issues
+         * @param {Object} filters - Issue filters
+         * @param {Date} now - Reference time for the age range
+         * @returns {Array} Matching issues in their original order
+         */
+        filterIssues(issues, filters, now = new Date()) {
+            const terms = filters.search.toLowerCase().split(/\s+/).filter(Boolean);
+            const author = filters.author.toLowerCase();
+            const language = filters.language.toLowerCase();
+
+            return issues.filter(issue => {
+                const text = `${issue.title}\n${issue.body || ''}`.toLowerCase();
+                const ageDays = (now - new Date(issue.created_at)) / DAY_MS;
+
+                return terms.every(term => text.includes(term)) &&
+                    filters.labels.every(label => this.hasLabel(issue, label)) &&
+                    (!author || issue.user.login.toLowerCase() === author) &&
+                    (!language || this.getIssueLanguages(issue).some(name => name.toLowerCase() === language)) &&
+                    (filters.minAgeDays === null || ageDays >= filters.minAgeDays) &&
+                    (filters.maxAgeDays === null || ageDays <= filters.maxAgeDays);
+            });
+        }
+
+        /**
+         * Read issue filters from URL parameters
+         * @param {URLSearchParams} params - Page URL parameters
+         * @returns {Object} Issue filters (missing or invalid parameters fall back to the defaults)
+         */
+        parseIssueFilters(params) {
+            const days = value => {
+                const number = Number(value);
+                return value && Number.isInteger(number) && number >= 0 ? number : null;
+            };
+
+            return {
+                search: params.get(FILTER_PARAMS.search) || '',
+                labels: (params.get(FILTER_PARAMS.labels) || '').split(',').map(label => label.trim()).filter(Boolean),
+                author: params.get(FILTER_PARAMS.author) || '',
+                language: params.get(FILTER_PARAMS.language) || '',
+                minAgeDays: days(params.get(FILTER_PARAMS.minAgeDays)),
+                maxAgeDays: days(params.get(FILTER_PARAMS.maxAgeDays))
+            };
+        }
+
+        /**
+         * Write issue filters to URL parameters, leaving all other parameters untouched
+         * @param {Object} filters - Issue filters
+         * @param {URLSearchParams} params - Page URL parameters (modified in place)
+         * @returns {URLSearchParams} The updated parameters
+         */
+        writeIssueFilters(filters, params) {
+            const values = {
+                search: filters.search.trim(),
+                labels: filters.labels.join(','),
+                author: filters.author,
+                language: filters.language,
+                minAgeDays: filters.minAgeDays === null ? '' : String(filters.minAgeDays),
+                maxAgeDays: filters.maxAgeDays === null ? '' : String(filters.maxAgeDays)
+            };
+
+            Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+                if (values[key]) {
+                    params.set(param, values[key]);
+                } else {
+                    params.delete(param);
+                }
+            });
+
+            return params;
+        }
+
+        /**
+         * Check whether a sort mode of the available issues list exists
+         * @param {string|null} mode - Sort mode (e.g. a value read from localStorage)
+         * @returns {boolean} True if the mode is one of ISSUE_SORT_MODES
+         */
+        isIssueSortMode(mode) {
+            return ISSUE_SORT_MODES.includes(mode);
+        }
+
+        /**
+         * Sort issues for the available issues list
+         *
+         * Issues with equal sort keys keep the newest first. For "fewest-claims", issues
+         * without comments have no claims; issues whose claims are not known yet come last.
+         * @param {Array} issues - Array of GitHub issues
+         * @param {string} mode - One of ISSUE_SORT_MODES (unknown modes sort newest first)
+         * @param {Map<number, number>} claimCounts - Pending claims per issue number, for "fewest-claims"
+         * @returns {Array} Sorted copy of the issues
+         */
+        sortIssues(issues, mode, claimCounts = new Map()) {
+            const created = issue => new Date(issue.created_at).getTime();
+            const claims = issue => issue.comments === 0 ? 0 :
+                (claimCounts.has(issue.number) ? claimCounts.get(issue.number) : Infinity);
+
+            const keys = {
+                'longest-waiting': issue => created(issue),
+                'recently-updated': issue => -new Date(issue.updated_at).getTime(),
+                'most-comments': issue => -issue.comments,
+                'fewest-comments': issue => issue.comments,
+                'fewest-claims': claims
+            };
+            const key = keys[mode] || (() => 0);
+            const compare = (a, b) => a === b ? 0 : a - b;
+
+            return issues.slice().sort((a, b) => compare(key(a), key(b)) || created(b) - created(a));
+        }
+
+        /**
+         * Get the unique assignees of an issue (primary assignee and additional assignees)
+         * @param {Object} issue - GitHub issue object
+         * @returns {Array} Array of GitHub user objects
+         */
+        getIssueAssignees(issue) {
+            const assignees = [];
+
+            if (issue.assignee) {
+                assignees.push(issue.assignee);
+            }
+
+            // Only count once if user is both assignee and in assignees array
+            (issue.assignees || []).forEach(assignee => {
+                if (!assignees.some(existing => existing.login === assignee.login)) {
+                    assignees.push(assignee);
+                }
+            });
+
+            return assignees;
+        }
+
+        /**
+         * Collect per-user participation statistics from buddy exchange issues
+         * Issue authors received a check; assignees of closed issues conducted one.
+         * @param {Array} issues - Array of buddy exchange issues (open and closed)
+         * @returns {Object} User statistics keyed by username
+         */
+        collectParticipants(issues) {
+            const userStats = {};
+
+            const getStats = (user) => {
+                if (!userStats[user.login]) {
+                    userStats[user.login] = {
+                        username: user.login,
+                        avatar: user.avatar_url,
+                        url: user.html_url,
+                        receivedChecks: 0,
+                        conductedChecks: 0,
+                        receivedIssues: [],
+                        conductedIssues: [],
+                        lastCompleted: null
+                    };
+                }
+                return userStats[user.login];
+            };
+
+            issues.forEach(issue => {
+                // Count received checks (issues created by users)
+                const creatorStats = getStats(issue.user);
+                creatorStats.receivedChecks++;
+                creatorStats.receivedIssues.push(issue.number);
+
+                // Count conducted checks (issues assigned to users and closed)
+                if (issue.state !== 'closed') {
+                    return;
+                }
+
+                const closedDate = new Date(issue.closed_at);
+                this.getIssueAssignees(issue).forEach(assignee => {
+                    const assigneeStats = getStats(assignee);
+                    assigneeStats.conductedChecks++;
+                    assigneeStats.conductedIssues.push(issue.number);
+
+                    if (!assigneeStats.lastCompleted || closedDate > assigneeStats.lastCompleted) {
+                        assigneeStats.lastCompleted = closedDate;
+                    }
+                });
+            });
+
+            if (this.config.ui.debug) {
+                console.log('Participant stats:', Object.values(userStats));
+            }
+
+            return userStats;
+        }
+
+        /**
+         * Calculate leaderboard from closed issues
+         * @param {Array} issues - Array of buddy exchange issues (only closed ones count)
+         * @param {Object} participants - Precomputed statistics from collectParticipants
+         * @returns {Object} Leaderboard data with user statistics
+         */
+        calculateLeaderboard(issues, participants = this.collectParticipants(issues)) {
+            // Count issues that were actually completed (had assignees when closed)
+            const totalCompleted = issues.filter(issue =>
+                issue.state === 'closed' && this.getIssueAssignees(issue).length > 0
+            ).length;
+
+            // Convert to array and sort by completed count
+            const leaderboard = Object.values(participants)
+                .filter(user => user.conductedChecks > 0)
+                .map(user => ({
+                    username: user.username,
+                    avatar: user.avatar,
+                    url: user.url,
+                    completedCount: user.conductedChecks,
+                    lastCompleted: user.lastCompleted,
+                    completedIssues: user.conductedIssues,
+                    // Generate search URLs for each user
+                    searchUrl: this.generateUserIssuesSearchUrl(user.username)
+                }))
+                .sort((a, b) => b.completedCount - a.completedCount);
+
+            return {
+                leaderboard,
+                totalCompleted,
+                activeContributors: leaderboard.length,
+                lastUpdated: new Date()
+            };
+        }
+
+        /**
+         * Generate GitHub search URL for a user's completed buddy exchange issues
+         * @param {string} username - GitHub username
+         * @returns {string} GitHub search URL
+         */
+        generateUserIssuesSearchUrl(username) {
+            const searchQuery = `repo:${this.repo} label:"${this.label}" assignee:${username} is:closed`;
+            return `https://github.com/search?q=${encodeURIComponent(searchQuery)}&type=issues`;
+        }
+
+        /**
+         * Generate GitHub search URL for all closed buddy exchange issues
+         * @returns {string} GitHub search URL
+         */
+        generateAllClosedIssuesSearchUrl() {
+            const searchQuery = `repo:${this.repo} label:"${this.label}" is:closed`;
+            return `https://github.com/search?q=${encodeURIComponent(searchQuery)}&type=issues`;
+        }
+
+        /**
+         * Generate GitHub search URL for buddy exchange issues in progress (open issues with "buddy exchange" label but without "needs codechecker" label)
+         * @returns {string} GitHub search URL
+         */
+        generateAssignedOpenIssuesSearchUrl() {
+            const searchQuery = `repo:${this.repo} is:open label:"${this.label}" -label:"${this.availableIssuesLabel}"`;
+            return `https://github.com/search?q=${encodeURIComponent(searchQuery)}&type=issues`;
+        }
+
+        /**
+         * Generate GitHub search URL for all buddy exchange issues (open and closed)
+         * @returns {string} GitHub search URL
+         */
+        generateAllBuddyExchangeIssuesSearchUrl() {
+            const searchQuery = `repo:${this.repo} label:"${this.label}"`;
+            return `https://github.com/search?q=${encodeURIComponent(searchQuery)}&type=issues`;
+        }
+
+        /**
+         * Build the comment claiming an issue
+         * @param {string} mention - Mention of the claiming codechecker (e.g. "@mira-chen")
+         * @returns {string} Comment text (Markdown)
+         */
+        formatClaimComment(mention) {
+            return `${CLAIM_COMMENT_INTRO}
+
+${mention} is interested in conducting the computational reproducibility check for this submission.
+
+Please assign me to this issue if available. Thank you!`;
+        }
+
+        /**
+         * Whether a comment claims the issue: the claim snippet, or an @-mention with claim wording
+         * (e.g. "@author I would like to check this one")
+         * @param {Object} comment - GitHub issue comment
+         * @returns {boolean} True if the comment is a claim
+         */
+        isClaimComment(comment) {
+            const body = comment.body || '';
+
+            if (body.toLowerCase().includes(CLAIM_COMMENT_INTRO.toLowerCase())) {
+                return true;
+            }
+
+            return /(^|[^\w@])@[A-Za-z0-9-]+/.test(body) && CLAIM_PHRASE.test(body);
+        }
+
+        /**
+         * Find the claim a user commented on an issue
+         * @param {Array} comments - GitHub issue comments
+         * @param {string} login - GitHub login of the user
+         * @returns {Object|null} First claim comment of the user, or null if there is none
+         */
+        findClaimComment(comments, login) {
+            return comments.find(comment =>
+                comment.user && comment.user.login.toLowerCase() === login.toLowerCase() && this.isClaimComment(comment)
+            ) || null;
+        }
+
+        /**
+         * Summarize the claims waiting for assignment on an issue
+         *
+         * The issue author's own comments (e.g. thanking a claimer) are not claims, and
+         * someone claiming twice is counted once, with their latest claim.
+         * @param {Object} issue - GitHub issue
+         * @param {Array} comments - Comments of the issue
+         * @returns {Object} Pending claims ({ count, claimants: [{ login, createdAt, url }] oldest first, latest })
+         */
+        summarizePendingClaims(issue, comments) {
+            const author = issue.user ? issue.user.login.toLowerCase() : null;
+            const claimsByLogin = new Map();
+
+            comments
+                .filter(comment => comment.user && comment.user.login.toLowerCase() !== author && this.isClaimComment(comment))
+                .forEach(comment => {
+                    claimsByLogin.set(comment.user.login.toLowerCase(), {
+                        login: comment.user.login,
+                        createdAt: new Date(comment.created_at),
+                        url: comment.html_url
+                    });
+                });
+
+            const claimants = Array.from(claimsByLogin.values()).sort((a, b) => a.createdAt - b.createdAt);
+
+            return {
+                count: claimants.length,
+                claimants,
+                latest: claimants.length > 0 ? claimants[claimants.length - 1] : null
+            };
+        }
+
+        /**
+         * Label changes of an issue, read from its events
+         * @param {Array} events - Events of the issue (GitHub issue events API)
+         * @returns {Array} Changes, oldest first ([{ action: 'added' or 'removed', label: { name, color }, actor, createdAt }])
+         */
+        getLabelTimeline(events) {
+            return events
+                .filter(event => (event.event === 'labeled' || event.event === 'unlabeled') && event.label)
+                .map(event => ({
+                    action: event.event === 'labeled' ? 'added' : 'removed',
+                    label: { name: event.label.name, color: event.label.color },
+                    actor: event.actor ? event.actor.login : null,
+                    createdAt: new Date(event.created_at)
+                }))
+                .sort((a, b) => a.createdAt - b.createdAt);
+        }
+
+        /**
+         * Identifier format of the register instance
+         * @returns {Object} Format ({ prefix, numbering: 'yearly' or 'continuous', padding })
+         */
+        getIdentifierFormat() {
+            return this.config.repository.identifierFormat;
+        }
+
+        /**
+         * Year of the sequence new identifiers are allocated in
+         * @returns {number|null} Current year, or null for continuous numbering
+         */
+        getCurrentSequenceYear() {
+            return this.getIdentifierFormat().numbering === 'yearly' ? this.config.certificate.currentYear : null;
+        }
+
+        /**
+         * Regular expression source matching one identifier (capturing the year, if numbered per year, and the number)
+         * @returns {string} Pattern source without anchors
+         */
+        getIdentifierPatternSource() {
+            const { prefix, numbering, padding } = this.getIdentifierFormat();
+            const year = numbering === 'yearly' ? '(\\d{4})-' : '()';
+            return `${escapeRegExp(prefix)}${year}(\\d{${padding},})`;
+        }
+
+        /**
+         * Regular expression source matching text that resembles an identifier, e.g. "2025-07", "2025 - 004" or "2025–014"
+         * @returns {string} Pattern source without anchors
+         */
+        getLooseIdentifierPatternSource() {
+            const { prefix, numbering } = this.getIdentifierFormat();
+            const year = numbering === 'yearly' ? '\\d{4}\\s*[-\\u2013\\u2014]\\s*' : '';
+            return `${escapeRegExp(prefix.trim())}\\s*${year}\\d+`;
+        }
+
+        /**
+         * Describe the identifier format for people, e.g. "YYYY-NNN"
+         * @returns {string} Format description
+         */
+        describeIdentifierFormat() {
+            const { prefix, numbering, padding } = this.getIdentifierFormat();
+            return `${prefix}${numbering === 'yearly' ? 'YYYY-' : ''}${'N'.repeat(padding)}`;
+        }
+
+        /**
+         * Parse a certificate identifier on its own, e.g. "2025-007"
+         * @param {string} text - Identifier text (surrounding whitespace is ignored)
+         * @returns {Object|null} Parsed identifier ({ year, number, identifier }; year is null for continuous numbering),
+         *   or null if the text does not follow the identifier format
+         */
+        parseIdentifierText(text) {
+            const match = (text || '').trim().match(new RegExp(`^${this.getIdentifierPatternSource()}$`));
+
+            if (!match) {
+                return null;
+            }
+
+            return {
+                year: match[1] ? parseInt(match[1], 10) : null,
+                number: parseInt(match[2], 10),
+                identifier: match[0]
+            };
+        }
+
+        /**
+         * Build the issue title reserving an identifier from the title template
+         * @param {string} author - Author name (or a placeholder)
+         * @param {string} identifier - Formatted identifier
+         * @returns {string} Issue title
+         */
+        formatIssueTitle(author, identifier) {
+            const values = { author, identifier };
+
+            // One pass with a replacer function, so "$&" or "{identifier}" in a name is kept as written
+            return this.config.repository.titleTemplate.replace(/\{(author|identifier)\}/g, (placeholder, name) => values[name]);
+        }
+
+        /**
+         * Regular expression matching titles built from the title template, with the author and identifier as named groups
+         * Whitespace around the literal parts of the template is optional.
+         * @returns {RegExp} Title pattern
+         */
+        getTitlePattern() {
+            const source = this.config.repository.titleTemplate
+                .split(/(\{author\}|\{identifier\})/)
+                .map(part => {
+                    if (part === '{author}') return '(?<author>.*)';
+                    if (part === '{identifier}') return '(?<identifier>.+?)';
+                    return escapeRegExp(part).replace(/\s+/g, '\\s*');
+                })
+                .join('');
+
+            return new RegExp(`^${source}$`);
+        }
+
+        /**
+         * Parse the certificate identifier of a register issue title
+         *
+         * Titles follow the title template of the register instance (e.g. "Author Name | YYYY-NNN"),
+         * and the identifier follows its identifier format. Anything else is rejected with a reason.
+         * @param {string} title - Issue title
+         * @returns {Object} Parsed identifier ({ year, number, identifier }) or rejection ({ code, reason })
+         */
+        parseCertificateIdentifier(title) {
+            const text = (title || '').trim();
+            const titleMatch = text.match(this.getTitlePattern());
+            const slot = titleMatch ? titleMatch.groups.identifier.trim() : null;
+
+            const parsed = slot !== null ? this.parseIdentifierText(slot) : null;
+            if (parsed) {
+                return parsed;
+            }
+
+            const loosePattern = new RegExp(this.getLooseIdentifierPatternSource());
+            const looseMatch = text.match(loosePattern);
+            if (!looseMatch) {
+                return { code: 'missing', reason: 'No certificate identifier in the title' };
+            }
+
+            const format = this.describeIdentifierFormat();
+            if (slot !== null && loosePattern.test(slot)) {
+                return { code: 'malformed', reason: `"${slot}" is not a ${format} identifier` };
+            }
+
+            const misplaced = text.match(new RegExp(`(?<![\\w-])${this.getIdentifierPatternSource()}(?![\\w])`));
+            if (misplaced) {
+                return {
+                    code: 'misplaced',
+                    reason: `Identifier ${misplaced[0]} is not where the title format "${this.config.repository.titleTemplate}" expects it`
+                };
+            }
+
+            return { code: 'malformed', reason: `"${looseMatch[0]}" is not a ${format} identifier` };
+        }
+
+        /**
+         * Check an issue title against the title template and identifier format of the register instance
+         * @param {string} title - Issue title
+         * @param {number|null} expectedYear - Year the identifier should carry (e.g. the year the issue was opened);
+         *   not checked if null or with continuous numbering
+         * @returns {Object} Validation result ({ valid, identifier, findings: [{ code, message }] }), where code is
+         *   'missing-identifier', 'malformed-identifier', 'missing-separator', 'misplaced-identifier',
+         *   'missing-author', 'placeholder' or 'wrong-year'
+         */
+        validateIssueTitle(title, expectedYear = null) {
+            const text = (title || '').trim();
+            const template = this.config.repository.titleTemplate;
+            const parsed = this.parseCertificateIdentifier(text);
+            const findings = [];
+
+            if (parsed.code === 'missing') {
+                findings.push({ code: 'missing-identifier', message: parsed.reason });
+            } else if (parsed.code === 'malformed') {
+                findings.push({ code: 'malformed-identifier', message: parsed.reason });
+            } else if (parsed.code === 'misplaced') {
+                // Literal parts of the template (e.g. "|") that the title lacks
+                const missingSeparators = template
+                    .split(/\{author\}|\{identifier\}/)
+                    .map(part => part.trim())
+                    .filter(part => part && !text.includes(part));
+
+                findings.push(missingSeparators.length > 0 ?
+                    { code: 'missing-separator', message: `Missing "${missingSeparators.join('", "')}" of the title format "${template}"` } :
+                    { code: 'misplaced-identifier', message: parsed.reason });
+            }
+
+            // The author part, if the title follows the template
+            const titleMatch = text.match(this.getTitlePattern());
+            const author = titleMatch && titleMatch.groups.author !== undefined ? titleMatch.groups.author.trim() : null;
+
+            if (author === '') {
+                findings.push({ code: 'missing-author', message: 'No author name before the identifier' });
+            } else if (/^\[.*\]$/.test(author || '') || /\[author name\]/i.test(text)) {
+                findings.push({ code: 'placeholder', message: 'Replace the [Author Name] placeholder with the author\'s name' });
+            }
+
+            if (!parsed.code && parsed.year !== null && expectedYear !== null && parsed.year !== expectedYear) {
+                findings.push({ code: 'wrong-year', message: `Identifier ${parsed.identifier} belongs to ${parsed.year}, expected ${expectedYear}` });
+            }
+
+            return {
+                valid: findings.length === 0,
+                identifier: parsed.code ? null : parsed,
+                findings
+            };
+        }
+
+        /**
+         * Extract certificate identifiers from issue titles
+         * @param {Array} issues - Array of GitHub issues
+         * @returns {Object} Identifiers ({ identifiers: [{ year, number, identifier, source, issue }], ignored: [{ issue, code, reason }] })
+         */
+        extractCertificateIdentifiers(issues) {
+            const identifiers = [];
+            const ignored = [];
+
+            issues.forEach(issue => {
+                const parsed = this.parseCertificateIdentifier(issue.title);
+
+                if (parsed.identifier) {
+                    identifiers.push({ ...parsed, source: 'issue', issue });
+                } else {
+                    ignored.push({ issue, code: parsed.code, reason: parsed.reason });
+                }
+            });
+
+            return { identifiers, ignored };
+        }
+
+        /**
+         * Group identifier numbers by year
+         * @param {Array} identifiers - Identifiers from extractCertificateIdentifiers
+         * @returns {Map} Map of years (null for continuous numbering) to sorted, distinct identifier numbers
+         */
+        getIdentifierSequences(identifiers) {
+            const sequences = new Map();
+
+            identifiers.forEach(({ year, number }) => {
+                if (!sequences.has(year)) {
+                    sequences.set(year, new Set());
+                }
+                sequences.get(year).add(number);
+            });
+
+            return new Map(Array.from(sequences, ([year, numbers]) =>
+                [year, Array.from(numbers).sort((a, b) => a - b)]));
+        }
+
+        /**
+         * Calculate the next available certificate identifier of a year
+         *
+         * With yearly numbering every year has its own sequence. The next number follows
+         * the highest one used in the sequence; gaps are not reused, since they may belong
+         * to issues whose titles could not be parsed.
+         * @param {Array} identifiers - Identifiers from extractCertificateIdentifiers or mergeIdentifierSources
+         * @param {number|null} year - Year to allocate for (defaults to the current sequence)
+         * @returns {number} Next available identifier number
+         */
+        calculateNextIdentifier(identifiers, year = this.getCurrentSequenceYear()) {
+            const numbers = this.getIdentifierSequences(identifiers).get(year) || [];
+
+            return numbers.length > 0 ? numbers[numbers.length - 1] + 1 : 1;
+        }
+
+        /**
+         * Parse the certificate listing published in the register repository (register.csv)
+         *
+         * Only the Certificate column is required; Issue, Report and Check date are
+         * kept when present. Rows whose certificate does not follow the identifier format are skipped.
+         * @param {string} csvText - Contents of the listing
+         * @returns {Array} Listed identifiers ({ year, number, identifier, source, issueNumber, report, checkDate })
+         */
+        parseRegisterListing(csvText) {
+            const lines = csvText.split(/\r?\n/);
+            const headers = this.parseCSVLine(lines[0]).map(header => header.trim().toLowerCase());
+            const column = name => headers.indexOf(name);
+
+            const certificateIndex = column('certificate');
+            if (certificateIndex === -1) {
+                console.warn('Missing Certificate column in register listing');
+                return [];
+            }
+
+            const issueIndex = column('issue');
+            const reportIndex = column('report');
+            const checkDateIndex = column('check date');
+            const entries = [];
+
+            for (let i = 1; i < lines.length; i++) {
+                if (!lines[i].trim()) continue;
+
+                const values = this.parseCSVLine(lines[i]).map(value => value.trim());
+                const parsed = this.parseIdentifierText(values[certificateIndex]);
+
+                if (!parsed) {
+                    if (this.config.ui.debug) {
+                        console.log(`Skipping register listing row without certificate identifier: ${lines[i]}`);
+                    }
+                    continue;
+                }
+
+                // The Issue column holds the issue number or its URL
+                const issueMatch = issueIndex === -1 ? null : (values[issueIndex] || '').match(/(\d+)\/?$/);
+
+                entries.push({
+                    ...parsed,
+                    source: 'register',
+                    issueNumber: issueMatch ? parseInt(issueMatch[1], 10) : null,
+                    report: reportIndex === -1 ? '' : values[reportIndex] || '',
+                    checkDate: checkDateIndex === -1 ? '' : values[checkDateIndex] || ''
+                });
+            }
+
+            return entries;
+        }
+
+        /**
+         * Merge the identifiers of issue titles and the register listing
+         * @param {Array} issueIdentifiers - Identifiers from extractCertificateIdentifiers
+         * @param {Array} listedIdentifiers - Identifiers from parseRegisterListing
+         * @returns {Array} Used identifiers, sorted ({ year, number, identifier, sources, issues, listing })
+         */
+        mergeIdentifierSources(issueIdentifiers, listedIdentifiers) {
+            const used = new Map();
+            const getEntry = ({ year, number }) => {
+                const key = `${year}-${number}`;
+                if (!used.has(key)) {
+                    used.set(key, {
+                        year,
+                        number,
+                        identifier: this.formatCertificateIdentifier(number, year),
+                        sources: [],
+                        issues: [],
+                        listing: null
+                    });
+                }
+                return used.get(key);
+            };
+
+            issueIdentifiers.forEach(entry => {
+                const usedEntry = getEntry(entry);
+                usedEntry.issues.push(entry.issue);
+                if (!usedEntry.sources.includes('issue')) {
+                    usedEntry.sources.push('issue');
+                }
+            });
+
+            listedIdentifiers.forEach(entry => {
+                const usedEntry = getEntry(entry);
+                usedEntry.listing = entry;
+                if (!usedEntry.sources.includes('register')) {
+                    usedEntry.sources.push('register');
+                }
+            });
+
+            return Array.from(used.values()).sort((a, b) => a.year - b.year || a.number - b.number);
+        }
+
+        /**
+         * Check the identifiers found in the register for conflicts and gaps
+         * @param {Object} extracted - Result of extractCertificateIdentifiers for all register issues
+         * @returns {Object} Report ({ duplicates, missingIdentifiers, yearMismatches, gaps })
+         */
+        checkIdentifierIntegrity({ identifiers, ignored }) {
+            // Identifiers used by more than one issue
+            const issuesByIdentifier = new Map();
+            identifiers.forEach(entry => {
+                const key = `${entry.year}-${entry.number}`;
+                if (!issuesByIdentifier.has(key)) {
+                    issuesByIdentifier.set(key, []);
+                }
+                issuesByIdentifier.get(key).push(entry);
+            });
+
+            const duplicates = Array.from(issuesByIdentifier.values())
+                .filter(entries => entries.length > 1)
+                .map(entries => ({
+                    identifier: this.formatCertificateIdentifier(entries[0].number, entries[0].year),
+                    issues: entries.map(entry => entry.issue)
+                }));
+
+            // Issues that were given an identifier, but whose title does not carry one
+            const missingIdentifiers = ignored.filter(({ issue }) =>
+                this.hasLabel(issue, this.config.labels.identifierAssigned));
+
+            // Identifiers of another year than the one the issue was opened in (yearly numbering only)
+            const yearMismatches = identifiers
+                .filter(entry => entry.year !== null)
+                .map(entry => ({ ...entry, createdYear: new Date(entry.issue.created_at).getUTCFullYear() }))
+                .filter(entry => entry.year !== entry.createdYear);
+
+            // Unused numbers below the highest identifier of each sequence, as ranges
+            const gaps = [];
+            Array.from(this.getIdentifierSequences(identifiers))
+                .sort(([a], [b]) => a - b)
+                .forEach(([year, numbers]) => {
+                    let expected = 1;
+                    numbers.forEach(number => {
+                        if (number > expected) {
+                            gaps.push({ year, from: expected, to: number - 1 });
+                        }
+                        expected = number + 1;
+                    });
+                });
+
+            return { duplicates, missingIdentifiers, yearMismatches, gaps };
+        }
+
+        /**
+         * Generate formatted certificate identifier
+         * @param {number} number - The identifier number
+         * @param {number|null} year - Year of the sequence (defaults to the current sequence; ignored for continuous numbering)
+         * @returns {string} Formatted identifier (e.g., "2025-001")
+         */
+        formatCertificateIdentifier(number, year = this.getCurrentSequenceYear()) {
+            const { prefix, numbering, padding } = this.getIdentifierFormat();
+            const yearPart = numbering === 'yearly' ? `${year}-` : '';
+            return `${prefix}${yearPart}${number.toString().padStart(padding, '0')}`;
+        }
+
+        /**
+         * Calculate buddy ratios (received checks vs conducted checks)
+         * @param {Array} allIssues - Array of all buddy exchange issues
+         * @param {Object} participants - Precomputed statistics from collectParticipants
+         * @returns {Object} Buddy analysis data
+         */
+        calculateBuddyRatios(allIssues, participants = this.collectParticipants(allIssues)) {
+            if (this.config.ui.debug) {
+                console.log('Calculating buddy ratios for', allIssues.length, 'issues');
+            }
+
+            // Calculate ratios and filter for "find a buddy" candidates
+            const allUsers = Object.values(participants);
+
+            const allRecipients = allUsers
+                .filter(user => user.receivedChecks > 0) // Show all users who have received checks
+                .map(user => ({
+                    ...user,
+                    ...this.calculateBuddyRatio(user),
+                    searchUrl: this.generateUserIssuesSearchUrl(user.username)
+                }))
+                .sort((a, b) => b.ratio - a.ratio); // Sort by highest ratio first
+
+            return {
+                allRecipients,
+                totalUsers: allUsers.length,
+                totalIssues: allIssues.length,
+                lastUpdated: new Date()
+            };
+        }
+
+        /**
+         * Received vs. conducted checks of one participant
+         * @param {Object} user - Participant statistics from collectParticipants
+         * @returns {Object} Ratio of received to conducted checks and the number of checks owed ({ ratio, deficit })
+         */
+        calculateBuddyRatio(user) {
+            return {
+                ratio: user.receivedChecks / Math.max(user.conductedChecks, 1), // Avoid division by zero
+                deficit: user.receivedChecks - user.conductedChecks
+            };
+        }
+
+        /**
+         * Give-one-get-one balance of a user, with the codecheckers who checked the user's requests
+         * @param {Array} issues - Buddy exchange issues (open and closed)
+         * @param {string} username - GitHub username
+         * @param {Object} participants - Precomputed statistics from collectParticipants
+         * @returns {Object} Balance ({ username, receivedChecks, conductedChecks, ratio, deficit, inDeficit,
+         *   receivedFrom: [{ login, issueNumber }] })
+         */
+        calculateExchangeBalance(issues, username, participants = this.collectParticipants(issues)) {
+            const login = username.toLowerCase();
+            const user = Object.values(participants).find(participant => participant.username.toLowerCase() === login) ||
+                { username, receivedChecks: 0, conductedChecks: 0 };
+            const { ratio, deficit } = this.calculateBuddyRatio(user);
+
+            // Codecheckers of the user's completed requests
+            const receivedFrom = issues
+                .filter(issue => issue.state === 'closed' && issue.user.login.toLowerCase() === login)
+                .flatMap(issue => this.getIssueAssignees(issue).map(assignee => ({ login: assignee.login, issueNumber: issue.number })))
+                .sort((a, b) => a.issueNumber - b.issueNumber);
+
+            return {
+                username: user.username,
+                receivedChecks: user.receivedChecks,
+                conductedChecks: user.conductedChecks,
+                ratio,
+                deficit,
+                inDeficit: deficit > 0,
+                receivedFrom
+            };
+        }
+
+        /**
+         * Personal view of a user's part in the buddy exchange
+         * @param {Array} issues - Buddy exchange issues (open and closed)
+         * @param {string} username - GitHub username
+         * @param {Object} participants - Precomputed statistics from collectParticipants
+         * @returns {Object} The user's requests with their status ('waiting', 'assigned' or 'closed'), the checks
+         *   assigned to the user (inProgress and completed) and the balance ({ requests, inProgress, completed, balance }).
+         *   An open request with an assignee is 'assigned' even if its "needs codechecker" label was not removed yet.
+         */
+        calculateMyExchange(issues, username, participants = this.collectParticipants(issues)) {
+            const login = username.toLowerCase();
+            const isAssigned = issue => this.getIssueAssignees(issue).some(assignee => assignee.login.toLowerCase() === login);
+
+            const requests = issues
+                .filter(issue => issue.user.login.toLowerCase() === login)
+                .map(issue => {
+                    const assignees = this.getIssueAssignees(issue).map(assignee => assignee.login);
+                    let status = 'waiting';
+
+                    if (issue.state === 'closed') {
+                        status = 'closed';
+                    } else if (assignees.length > 0) {
+                        status = 'assigned';
+                    }
+
+                    return { issue, status, assignees };
+                });
+
+            return {
+                requests,
+                inProgress: issues.filter(issue => issue.state === 'open' && isAssigned(issue)),
+                completed: issues.filter(issue => issue.state === 'closed' && isAssigned(issue)),
+                balance: this.calculateExchangeBalance(issues, username, participants)
+            };
+        }
+
+        /**
+         * Reasons to think twice before claiming an issue
+         * @param {Object} issue - GitHub issue to claim
+         * @param {Object} balance - Balance of the claiming user from calculateExchangeBalance
+         * @returns {Array} Warnings ({ code: 'own-issue' or 'received-from-author', message })
+         */
+        getClaimWarnings(issue, balance) {
+            const author = issue.user.login;
+            const warnings = [];
+
+            if (author.toLowerCase() === balance.username.toLowerCase()) {
+                warnings.push({
+                    code: 'own-issue',
+                    message: 'You opened this issue yourself. Buddy exchange checks are conducted by someone else.'
+                });
+                return warnings;
+            }
+
+            const received = balance.receivedFrom.filter(entry => entry.login.toLowerCase() === author.toLowerCase());
+            if (received.length > 0) {
+                warnings.push({
+                    code: 'received-from-author',
+                    message: `@${author} already checked your request ${received.map(entry => `#${entry.issueNumber}`).join(', ')}. ` +
+                        'Checks are spread better if you pick an issue of someone else.'
+                });
+            }
+
+            return warnings;
+        }
+
+        /**
+         * Remove the YAML front matter (name, about, title, labels) from an issue template
+         * @param {string} template - Issue template markdown
+         * @returns {string} Template body
+         */
+        stripTemplateFrontMatter(template) {
+            return template.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '').trim();
+        }
+
+        /**
+         * Parse the codecheckers CSV into metadata keyed by GitHub handle
+         * @param {string} csvText - Contents of codecheckers.csv
+         * @returns {Map} Map of usernames to codecheckers metadata
+         */
+        parseCodecheckersCSV(csvText) {
+            const codecheckersMap = new Map();
+
+            // Parse CSV
+            const lines = csvText.split('\n');
+            const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
+
+            // Find column indices
+            const nameIndex = headers.indexOf('name');
+            const handleIndex = headers.indexOf('handle');
+            const fieldsIndex = headers.indexOf('fields');
+            const languagesIndex = headers.indexOf('languages');
+
+            if (handleIndex === -1 || fieldsIndex === -1 || languagesIndex === -1) {
+                console.warn('Missing required columns in codecheckers CSV');
+                return codecheckersMap;
+            }
+
+            // Process each row (skip header)
+            for (let i = 1; i < lines.length; i++) {
+                const line = lines[i].trim();
+                if (!line) continue;
+
+                // Simple CSV parsing (handles quoted fields)
+                const values = this.parseCSVLine(line);
+                if (values.length <= Math.max(handleIndex, fieldsIndex, languagesIndex)) continue;
+
+                const handle = values[handleIndex]?.trim().replace(/^@/, ''); // Remove @ prefix
+                const name = values[nameIndex]?.trim().replace(/"/g, '');
+                const fields = values[fieldsIndex]?.trim().replace(/"/g, '');
+                const languages = values[languagesIndex]?.trim().replace(/"/g, '');
+
+                if (handle && (fields || languages)) {
+                    codecheckersMap.set(handle, {
+                        name: name || handle,
+                        fields: fields || '',
+                        languages: languages || ''
+                    });
+                }
+            }
+
+            return codecheckersMap;
+        }
+
+        /**
+         * Simple CSV line parser that handles quoted fields
+         * @param {string} line - CSV line to parse
+         * @returns {Array} Array of field values
+         */
+        parseCSVLine(line) {
+            const result = [];
+            let current = '';
+            let inQuotes = false;
+
+            for (let i = 0; i < line.length; i++) {
+                const char = line[i];
+
+                if (char === '"') {
+                    inQuotes = !inQuotes;
+                } else if (char === ',' && !inQuotes) {
+                    result.push(current);
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+            result.push(current); // Add the last field
+
+            return result;
+        }
+    }
+
+    return { RegisterAnalysis };
+}));
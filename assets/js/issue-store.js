@@ -0,0 +1,326 @@
+/**
+ * In-memory store of all register issues
+ *
+ * The store is filled by one paginated sweep over the repository issues. Later
+ * refreshes only ask for issues updated since the last sync (GitHub's `since`
+ * filter) and merge them into the snapshot; a full sweep is repeated after
+ * `BuddyExchangeConfig.github.fullSyncInterval` to drop deleted or transferred issues.
+ * The available issues list, leaderboard, buddy ratios and certificate identifiers
+ * are derived from that snapshot by selectors, so every panel shows the same data.
+ */
+class IssueStore {
+    /**
+     * @param {GitHubAPI} githubAPI - API client for the active register instance
+     * @param {RegisterAnalysis} registerAnalysis - Calculations for the active register instance
+     */
+    constructor(githubAPI, registerAnalysis) {
+        this.githubAPI = githubAPI;
+        this.registerAnalysis = registerAnalysis;
+
+        // All issues of the current snapshot (open and closed, newest first)
+        this.issues = [];
+
+        // When the snapshot was fetched (or, for cached snapshots, stored)
+        this.snapshotTime = null;
+
+        // Whether the snapshot was read from the response cache
+        this.fromCache = false;
+
+        // When the last full sweep was made (incremental syncs build on it)
+        this.fullSyncTime = null;
+
+        // Numbers of the issues that changed with the last incremental sync
+        this.changedIssueNumbers = new Set();
+
+        // In-flight sweep shared by concurrent callers ({ cacheOnly, signal, promise })
+        this.pendingLoad = null;
+
+        // Memoized selector results for the current snapshot
+        this.selectorCache = new Map();
+    }
+
+    /**
+     * Whether a snapshot has been loaded
+     * @returns {boolean} True if issues are available
+     */
+    isLoaded() {
+        return this.snapshotTime !== null;
+    }
+
+    /**
+     * Whether the snapshot is older than the given age
+     * @param {number} maxAgeMs - Maximum acceptable age in milliseconds
+     * @returns {boolean} True if there is no snapshot or it is too old
+     */
+    isStale(maxAgeMs) {
+        return !this.isLoaded() || this.fromCache || Date.now() - this.snapshotTime.getTime() > maxAgeMs;
+    }
+
+    /**
+     * Load a new snapshot, sharing an in-flight sweep between callers with the same cancellation signal
+     * @param {Object} options - Load options
+     * @param {boolean} options.cacheOnly - Only read from the response cache
+     * @param {AbortSignal|null} options.signal - Cancels the sweep; its results are then discarded
+     * @returns {Promise<boolean>} Whether a snapshot was loaded (false on cache miss)
+     */
+    load({ cacheOnly = false, signal = null } = {}) {
+        if (this.pendingLoad && this.pendingLoad.cacheOnly === cacheOnly && this.pendingLoad.signal === signal) {
+            return this.pendingLoad.promise;
+        }
+
+        const promise = this.fetchSnapshot(cacheOnly, signal).finally(() => {
+            if (this.pendingLoad && this.pendingLoad.promise === promise) {
+                this.pendingLoad = null;
+            }
+        });
+
+        this.pendingLoad = { cacheOnly, signal, promise };
+        return promise;
+    }
+
+    /**
+     * Load the snapshot from the cache, or sync it with GitHub
+     * @param {boolean} cacheOnly - Only read from the response cache
+     * @param {AbortSignal|null} signal - Cancels the sweep
+     * @returns {Promise<boolean>} Whether a snapshot was loaded
+     */
+    async fetchSnapshot(cacheOnly, signal) {
+        if (cacheOnly) {
+            return this.restoreSnapshot(signal);
+        }
+
+        if (this.canSyncIncrementally()) {
+            await this.syncUpdatedIssues(signal);
+        } else {
+            await this.syncAllIssues(signal);
+        }
+
+        this.githubAPI.saveIssueSnapshot({
+            issues: this.issues,
+            snapshotTime: this.snapshotTime.getTime(),
+            fullSyncTime: this.fullSyncTime.getTime()
+        });
+        return true;
+    }
+
+    /**
+     * Restore the persisted snapshot, falling back to replaying the cached sweep
+     * @param {AbortSignal|null} signal - Discards the restored snapshot when aborted
+     * @returns {Promise<boolean>} Whether a snapshot was restored
+     */
+    async restoreSnapshot(signal) {
+        const snapshot = await this.githubAPI.loadIssueSnapshot();
+        signal?.throwIfAborted();
+
+        if (snapshot) {
+            this.fullSyncTime = new Date(snapshot.fullSyncTime);
+            this.setIssues(snapshot.issues, new Date(snapshot.snapshotTime), true);
+            return true;
+        }
+
+        this.githubAPI.cachedDataTimestamp = null;
+
+        const issues = await this.githubAPI.fetchAllIssues(undefined, undefined, { cacheOnly: true, signal });
+        if (!issues) {
+            return false;
+        }
+
+        this.fullSyncTime = new Date(this.githubAPI.cachedDataTimestamp);
+        this.setIssues(issues, this.fullSyncTime, true);
+        return true;
+    }
+
+    /**
+     * Whether the snapshot can be brought up to date with an incremental sync
+     * @returns {boolean} True if a recent full sweep exists
+     */
+    canSyncIncrementally() {
+        return this.isLoaded() && this.fullSyncTime !== null &&
+            Date.now() - this.fullSyncTime.getTime() < BuddyExchangeConfig.github.fullSyncInterval;
+    }
+
+    /**
+     * Replace the snapshot with a full sweep over all issues
+     * @param {AbortSignal|null} signal - Cancels the sweep
+     * @returns {Promise<void>}
+     */
+    async syncAllIssues(signal) {
+        const issues = await this.githubAPI.fetchAllIssues(undefined, undefined, { signal });
+        signal?.throwIfAborted();
+
+        this.fullSyncTime = new Date();
+        this.setIssues(issues, this.fullSyncTime);
+    }
+
+    /**
+     * Merge the issues updated since the last sync into the snapshot
+     * @param {AbortSignal|null} signal - Cancels the sweep
+     * @returns {Promise<void>}
+     */
+    async syncUpdatedIssues(signal) {
+        const syncTime = new Date();
+        const updatedIssues = await this.githubAPI.fetchIssuesUpdatedSince(this.getLastUpdatedAt(), undefined, undefined, { signal });
+        signal?.throwIfAborted();
+
+        const issuesByNumber = new Map(this.issues.map(issue => [issue.number, issue]));
+        updatedIssues.forEach(issue => issuesByNumber.set(issue.number, issue));
+
+        const issues = Array.from(issuesByNumber.values())
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+        console.log(`Incremental sync returned ${updatedIssues.length} updated issues`);
+        this.setIssues(issues, syncTime);
+    }
+
+    /**
+     * Latest update time of any issue in the snapshot, used as the `since` filter
+     * @returns {string} ISO 8601 timestamp
+     */
+    getLastUpdatedAt() {
+        const latest = this.issues.reduce((max, issue) =>
+            Math.max(max, new Date(issue.updated_at).getTime()), 0);
+
+        // An empty register has nothing to compare against, so ask from the full sweep on
+        return new Date(latest || this.fullSyncTime.getTime()).toISOString();
+    }
+
+    /**
+     * Replace the snapshot
+     * @param {Array} issues - All GitHub issues of the register
+     * @param {Date} snapshotTime - When the issues were fetched
+     * @param {boolean} fromCache - Whether the issues were read from the cache
+     */
+    setIssues(issues, snapshotTime, fromCache = false) {
+        this.changedIssueNumbers = this.findChangedIssueNumbers(issues);
+        this.issues = issues;
+        this.snapshotTime = snapshotTime;
+        this.fromCache = fromCache;
+        this.selectorCache.clear();
+
+        console.log(`Issue store holds ${issues.length} issues${fromCache ? ' (from cache)' : ''}`);
+    }
+
+    /**
+     * Compare new issues against the current snapshot
+     * @param {Array} issues - Issues about to replace the snapshot
+     * @returns {Set<number>} Numbers of new or updated issues (empty for the first snapshot)
+     */
+    findChangedIssueNumbers(issues) {
+        if (!this.isLoaded()) {
+            return new Set();
+        }
+
+        const previousUpdates = new Map(this.issues.map(issue => [issue.number, issue.updated_at]));
+
+        return new Set(issues
+            .filter(issue => previousUpdates.get(issue.number) !== issue.updated_at)
+            .map(issue => issue.number));
+    }
+
+    /**
+     * Memoize a selector result for the current snapshot
+     * @param {string} key - Selector name
+     * @param {Function} compute - Computes the result from the snapshot
+     * @returns {*} Selector result
+     */
+    select(key, compute) {
+        if (!this.selectorCache.has(key)) {
+            this.selectorCache.set(key, compute());
+        }
+        return this.selectorCache.get(key);
+    }
+
+    /**
+     * Issues carrying the "buddy exchange" label
+     * @returns {Array} Buddy exchange issues (open and closed)
+     */
+    getBuddyExchangeIssues() {
+        return this.select('buddyExchangeIssues', () =>
+            this.issues.filter(issue => this.registerAnalysis.hasLabel(issue, this.registerAnalysis.label))
+        );
+    }
+
+    /**
+     * Open issues that are available for claiming
+     * @returns {Array} Available GitHub issues, newest first
+     */
+    getAvailableIssues() {
+        return this.select('availableIssues', () =>
+            this.registerAnalysis.filterAvailableIssues(this.issues.filter(issue => issue.state === 'open'))
+        );
+    }
+
+    /**
+     * Per-user participation bookkeeping shared by the leaderboard and buddy ratios
+     * @returns {Object} Participant statistics keyed by username
+     */
+    getParticipants() {
+        return this.select('participants', () =>
+            this.registerAnalysis.collectParticipants(this.getBuddyExchangeIssues())
+        );
+    }
+
+    /**
+     * Leaderboard of completed buddy exchange checks
+     * @returns {Object} Leaderboard data
+     */
+    getLeaderboard() {
+        return this.select('leaderboard', () => ({
+            ...this.registerAnalysis.calculateLeaderboard(this.getBuddyExchangeIssues(), this.getParticipants()),
+            lastUpdated: this.snapshotTime
+        }));
+    }
+
+    /**
+     * Received vs. conducted checks for every participant
+     * @returns {Object} Buddy analysis data
+     */
+    getBuddyRatios() {
+        return this.select('buddyRatios', () => ({
+            ...this.registerAnalysis.calculateBuddyRatios(this.getBuddyExchangeIssues(), this.getParticipants()),
+            lastUpdated: this.snapshotTime
+        }));
+    }
+
+    /**
+     * Give-one-get-one balance of a user
+     * @param {string} username - GitHub username
+     * @returns {Object} Balance ({ username, receivedChecks, conductedChecks, ratio, deficit, inDeficit, receivedFrom })
+     */
+    getExchangeBalance(username) {
+        return this.select(`exchangeBalance:${username.toLowerCase()}`, () =>
+            this.registerAnalysis.calculateExchangeBalance(this.getBuddyExchangeIssues(), username, this.getParticipants())
+        );
+    }
+
+    /**
+     * Requests, checks and balance of a user for the "My exchange" section
+     * @param {string} username - GitHub username
+     * @returns {Object} Personal exchange ({ requests, inProgress, completed, balance })
+     */
+    getMyExchange(username) {
+        return this.select(`myExchange:${username.toLowerCase()}`, () =>
+            this.registerAnalysis.calculateMyExchange(this.getBuddyExchangeIssues(), username, this.getParticipants())
+        );
+    }
+
+    /**
+     * Certificate identifiers found in all issue titles
+     * @returns {Object} Parsed identifiers and the ignored titles ({ identifiers, ignored })
+     */
+    getCertificateIdentifiers() {
+        return this.select('certificateIdentifiers', () =>
+            this.registerAnalysis.extractCertificateIdentifiers(this.issues)
+        );
+    }
+
+    /**
+     * Duplicate, missing and misdated identifiers and the gaps in each year's sequence
+     * @returns {Object} Integrity report ({ duplicates, missingIdentifiers, yearMismatches, gaps })
+     */
+    getIdentifierReport() {
+        return this.select('identifierReport', () =>
+            this.registerAnalysis.checkIdentifierIntegrity(this.getCertificateIdentifiers())
+        );
+    }
+}
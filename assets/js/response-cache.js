@@ -0,0 +1,159 @@
+/**
+ * Persistent cache for GitHub API responses, stored in IndexedDB
+ *
+ * Entries hold the parsed body together with the ETag and Link headers of the
+ * response, so requests can be revalidated with If-None-Match and paginated
+ * sweeps can be replayed from the cache alone. The merged issue snapshot of
+ * each repository is stored here as well. Entries older than
+ * `BuddyExchangeConfig.cache.maxAgeDays` are deleted, since some URLs (e.g. the
+ * `since=` pages of incremental syncs) are never requested again.
+ */
+class ResponseCache {
+    constructor() {
+        this.databaseName = BuddyExchangeConfig.cache.databaseName;
+        this.storeName = 'responses';
+        this.maxAgeMs = BuddyExchangeConfig.cache.maxAgeDays * 24 * 60 * 60 * 1000;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the IndexedDB database (once)
+     * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const openRequest = indexedDB.open(this.databaseName, 1);
+
+            openRequest.onupgradeneeded = () => {
+                openRequest.result.createObjectStore(this.storeName, { keyPath: 'url' });
+            };
+            openRequest.onsuccess = () => {
+                this.removeExpiredEntries(openRequest.result);
+                resolve(openRequest.result);
+            };
+            openRequest.onerror = () => {
+                console.warn('Response cache unavailable:', openRequest.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Delete the entries that are too old to be used (runs once, when the database is opened)
+     * @param {IDBDatabase} db - Open database
+     */
+    removeExpiredEntries(db) {
+        const expiredBefore = Date.now() - this.maxAgeMs;
+
+        try {
+            const cursorRequest = db.transaction(this.storeName, 'readwrite').objectStore(this.storeName).openCursor();
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    return;
+                }
+
+                if (cursor.value.storedAt < expiredBefore) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => console.warn('Could not remove expired cache entries:', cursorRequest.error);
+        } catch (error) {
+            console.warn('Could not remove expired cache entries:', error);
+        }
+    }
+
+    /**
+     * Run a single request against the object store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} Request result, or null if the cache is unavailable
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        if (!db) {
+            return null;
+        }
+
+        return new Promise((resolve) => {
+            try {
+                const transaction = db.transaction(this.storeName, mode);
+                const request = operation(transaction.objectStore(this.storeName));
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Response cache operation failed:', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                // e.g. the database was closed or the value could not be cloned
+                console.warn('Response cache operation failed:', error);
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Get a cached response
+     * @param {string} url - Request URL
+     * @returns {Promise<Object|null>} Entry ({ url, etag, link, body, storedAt }) or null if missing or expired
+     */
+    async get(url) {
+        const entry = await this.run('readonly', store => store.get(url));
+
+        if (!entry) {
+            return null;
+        }
+
+        if (Date.now() - entry.storedAt > this.maxAgeMs) {
+            await this.delete(url);
+            return null;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Store a response
+     * @param {string} url - Request URL
+     * @param {Object} entry - Response data ({ etag, link, body })
+     * @returns {Promise<void>}
+     */
+    async set(url, entry) {
+        await this.run('readwrite', store => store.put({
+            ...entry,
+            url,
+            storedAt: Date.now()
+        }));
+    }
+
+    /**
+     * Remove a cached response
+     * @param {string} url - Request URL
+     * @returns {Promise<void>}
+     */
+    async delete(url) {
+        await this.run('readwrite', store => store.delete(url));
+    }
+
+    /**
+     * Remove all cached responses
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.run('readwrite', store => store.clear());
+    }
+}
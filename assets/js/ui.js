@@ -9,10 +9,58 @@ class BuddyExchangeUI {
         this.errorMessage = $('#error-message');
         this.noIssuesMessage = $('#no-issues');
         this.refreshButton = $('#refresh-btn');
+        this.issuesCount = $('#issues-count');
+        this.noMatchingIssuesMessage = $('#no-matching-issues');
+
+        // Filter bar of the available issues list
+        this.issueFilterBar = $('#issue-filters');
+        this.issueFilterSearch = $('#issue-filter-search');
+        this.issueFilterAuthor = $('#issue-filter-author');
+        this.issueFilterLanguage = $('#issue-filter-language');
+        this.issueFilterAge = $('#issue-filter-age');
+        this.issueFilterLabels = $('#issue-filter-labels');
+        this.issueFilterClear = $('#issue-filter-clear');
+        this.issueSortSelect = $('#issue-sort');
+        this.issueSortNote = $('#issue-sort-note');
+
+        // Issue detail view (#/issue/<number>)
+        this.appMain = $('#app');
+        this.issueDetailContainer = $('#issue-detail-container');
+        this.issueDetailLoading = $('#issue-detail-loading');
+        this.issueDetailError = $('#issue-detail-error');
+        this.issueDetailErrorMessage = $('#issue-detail-error-message');
+        this.issueDetail = $('#issue-detail');
+        this.issueDetailTitle = $('#issue-detail-title');
+        this.issueDetailMeta = $('#issue-detail-meta');
+        this.issueDetailGitHubLink = $('#issue-detail-github-link');
+        this.issueDetailClaimBtn = $('#issue-detail-claim-btn');
+        this.issueDetailClaims = $('#issue-detail-claims');
+        this.issueDetailBody = $('#issue-detail-body');
+        this.issueDetailLabels = $('#issue-detail-labels');
+        this.issueDetailAssignees = $('#issue-detail-assignees');
+        this.issueDetailTimeline = $('#issue-detail-timeline');
+        this.issueDetailCommentCount = $('#issue-detail-comment-count');
+        this.issueDetailComments = $('#issue-detail-comments');
+
+        // Issue shown in the detail view, and the overview scroll position to return to
+        this.issueDetailNumber = null;
+        this.overviewScrollY = 0;
+
+        // Available issues grid: the issues to show, how many cards are rendered so far and
+        // the observers that render card bodies and further pages as they scroll into view
+        this.gridIssues = [];
+        this.gridChangedIssueNumbers = new Set();
+        this.gridFiltered = false;
+        this.gridRenderedCount = 0;
+        this.cardObserver = null;
+        this.gridPageObserver = null;
 
         // Use global configuration
         this.config = BuddyExchangeConfig;
 
+        // Renders issue bodies and comments without the raw HTML or script links they may contain
+        this.markdownRenderer = new MarkdownRenderer(marked);
+
         // Leaderboard elements
         this.leaderboardLoading = $('#leaderboard-loading');
         this.leaderboardError = $('#leaderboard-error');
@@ -27,6 +75,8 @@ class BuddyExchangeUI {
         this.findBuddyError = $('#find-buddy-error');
         this.findBuddyErrorMessage = $('#find-buddy-error-message');
         this.findBuddyList = $('#find-buddy-list');
+        this.findBuddyMetadataWarning = $('#find-buddy-metadata-warning');
+        this.findBuddyMetadataWarningText = $('#find-buddy-metadata-warning-text');
         this.totalCandidates = $('#total-candidates');
 
         // Next identifier modal elements
@@ -39,6 +89,18 @@ class BuddyExchangeUI {
         this.nextIdentifierDisplay = $('#next-identifier-display');
         this.suggestedTitle = $('#suggested-title');
         this.submitWithIdentifier = $('#submit-with-identifier');
+        this.createIdentifierIssueBtn = $('#create-identifier-issue-btn');
+        this.identifierCreateResult = $('#identifier-create-result');
+
+        // Number of the identifier shown in the modal (of the current sequence)
+        this.nextIdentifierNumber = null;
+
+        // Identifier integrity report elements
+        this.identifierProblems = $('#identifier-problems');
+        this.identifierProblemsText = $('#identifier-problems-text');
+        this.identifierReportModal = $('#identifierReportModal');
+        this.identifierReportSummary = $('#identifier-report-summary');
+        this.identifierReportSections = $('#identifier-report-sections');
 
         // Settings configuration modal elements
         this.configureSettingsLink = $('#configure-settings-link');
@@ -50,6 +112,11 @@ class BuddyExchangeUI {
         this.currentUsernameText = $('#current-username-text');
         this.authorNameInput = $('#author-name-input');
         this.githubUsernameInput = $('#github-username-input');
+        this.currentTokenDisplayItem = $('#current-token-display-item');
+        this.currentTokenUserText = $('#current-token-user-text');
+        this.currentTokenQuotaText = $('#current-token-quota-text');
+        this.githubTokenInput = $('#github-token-input');
+        this.tokenValidationMessage = $('#token-validation-message');
         this.saveSettingsBtn = $('#save-settings-btn');
         this.removeSettingsBtn = $('#remove-settings-btn');
         this.usernameSpinner = $('#username-spinner');
@@ -62,11 +129,44 @@ class BuddyExchangeUI {
         this.testingWarningWrapper = $('#testing-warning-wrapper');
         this.instanceSelector = $('#instance-selector');
 
+        // Fixture data warning and data source selector
+        this.fixtureWarningWrapper = $('#fixture-warning-wrapper');
+        this.fixtureWarningLabel = $('#fixture-warning-label');
+        this.dataSourceSelector = $('#data-source-selector');
+
         // Assigned issues link
         this.assignedIssuesLink = $('#assigned-issues-link');
 
+        // Personal "My exchange" section
+        this.myExchangeContainer = $('#my-exchange-container');
+        this.myExchangeUsername = $('#my-exchange-username');
+        this.myExchangeBalance = $('#my-exchange-balance');
+        this.myExchangeRequests = $('#my-exchange-requests');
+        this.myExchangeInProgress = $('#my-exchange-in-progress');
+        this.myExchangeCompleted = $('#my-exchange-completed');
+
+        // Notice shown while panels display cached data
+        this.cacheNotice = $('#cache-notice');
+
+        // Banner shown while the GitHub API quota is low
+        this.rateLimitBanner = $('#rate-limit-banner');
+        this.rateLimitText = $('#rate-limit-text');
+        this.rateLimitSignInLink = $('#rate-limit-sign-in-link');
+        this.rateLimitCountdownTimer = null;
+
         // Debounce timer for username API calls
         this.usernameDebounceTimer = null;
+
+        // Debounce timer for the issue search field
+        this.issueSearchDebounceTimer = null;
+
+        // Loading texts updated with pagination progress, keyed by GitHubAPI progress source
+        this.progressTexts = {
+            issues: { element: $('#loading-text'), label: 'Loading buddy exchange issues' },
+            leaderboard: { element: $('#leaderboard-loading-text'), label: 'Loading leaderboard' },
+            buddies: { element: $('#find-buddy-loading-text'), label: 'Loading buddy candidates' },
+            identifier: { element: $('#identifier-loading-text'), label: 'Analyzing existing certificates' }
+        };
     }
 
     /**
@@ -74,7 +174,8 @@ class BuddyExchangeUI {
      */
     showLoading() {
         this.hideAll();
-        this.issuesContainer.empty();
+        this.resetIssueGrid();
+        this.resetFetchProgress('issues');
         this.loadingIndicator.show();
     }
 
@@ -85,6 +186,34 @@ class BuddyExchangeUI {
         this.loadingIndicator.hide();
     }
 
+    /**
+     * Show pagination progress in the loading indicator of the panel that requested the data
+     * @param {Object} progress - Progress reported by GitHubAPI ({ source, page, itemCount, hasMore })
+     */
+    showFetchProgress(progress) {
+        // The register sweep feeds every panel, so it is shown in all loading indicators
+        const sources = progress.source === 'register' ? Object.keys(this.progressTexts) : [progress.source];
+        const pageText = progress.page === 1 ? '1 page' : `${progress.page} pages`;
+
+        sources.forEach(source => {
+            const target = this.progressTexts[source];
+            if (target) {
+                target.element.text(`${target.label}... (${progress.itemCount} issues from ${pageText}${progress.hasMore ? ', continuing' : ''})`);
+            }
+        });
+    }
+
+    /**
+     * Reset a loading indicator text to its default label
+     * @param {string} source - Progress source key (issues, leaderboard, buddies, identifier)
+     */
+    resetFetchProgress(source) {
+        const target = this.progressTexts[source];
+        if (target) {
+            target.element.text(`${target.label}...`);
+        }
+    }
+
     /**
      * Show error message
      * @param {string} message - Error message to display
@@ -95,6 +224,66 @@ class BuddyExchangeUI {
         this.errorContainer.show();
     }
 
+    /**
+     * Show a notice that the panels display cached data
+     * @param {Date} cachedAt - When the oldest displayed response was stored or last revalidated
+     * @param {boolean} updating - Whether a revalidation against GitHub is in progress
+     */
+    showCachedDataNotice(cachedAt, updating) {
+        const status = updating ?
+            'Checking GitHub for updates...' :
+            'Could not update from GitHub. Use "Update issues" to try again.';
+
+        this.cacheNotice.text(`Showing cached data from ${this.getTimeAgo(cachedAt)}. ${status}`).show();
+    }
+
+    /**
+     * Hide the cached data notice
+     */
+    hideCachedDataNotice() {
+        this.cacheNotice.hide();
+    }
+
+    /**
+     * Show or hide the quota banner with a live countdown to the quota reset
+     * @param {Object} rateLimit - Quota reported by GitHubAPI ({ limit, remaining, reset, low })
+     */
+    updateRateLimitBanner(rateLimit) {
+        clearInterval(this.rateLimitCountdownTimer);
+        this.rateLimitCountdownTimer = null;
+
+        if (rateLimit.remaining >= this.config.rateLimit.warningThreshold || rateLimit.reset.getTime() <= Date.now()) {
+            this.rateLimitBanner.hide();
+            return;
+        }
+
+        const status = rateLimit.remaining === 0 ?
+            'GitHub API rate limit reached. Data reloads automatically when the quota resets' :
+            `Only ${rateLimit.remaining} of ${rateLimit.limit} GitHub API requests left${rateLimit.low ? '; non-essential requests are paused' : ''}`;
+
+        const renderCountdown = () => {
+            const secondsLeft = Math.max(0, Math.ceil((rateLimit.reset.getTime() - Date.now()) / 1000));
+            const minutes = Math.floor(secondsLeft / 60);
+            const seconds = String(secondsLeft % 60).padStart(2, '0');
+
+            this.rateLimitText.text(secondsLeft > 0 ?
+                `${status}. Resets in ${minutes}:${seconds}.` :
+                `${status}. Resetting...`);
+
+            // GitHubAPI re-checks the quota after the reset and updates the banner again
+            if (secondsLeft === 0) {
+                clearInterval(this.rateLimitCountdownTimer);
+                this.rateLimitCountdownTimer = null;
+            }
+        };
+
+        renderCountdown();
+        this.rateLimitCountdownTimer = setInterval(renderCountdown, 1000);
+
+        this.rateLimitSignInLink.toggle(!this.getStoredGitHubToken());
+        this.rateLimitBanner.show();
+    }
+
     /**
      * Show no issues message
      */
@@ -110,46 +299,268 @@ class BuddyExchangeUI {
         this.loadingIndicator.hide();
         this.errorContainer.hide();
         this.noIssuesMessage.hide();
+        this.noMatchingIssuesMessage.hide();
     }
 
     /**
      * Render issues list
-     * @param {Array} issues - Array of formatted issue data
+     * @param {Array} issues - Array of GitHub issues (formatted for the cards page by page)
+     * @param {Set<number>} changedIssueNumbers - Issues that changed since the previous refresh
+     * @param {number|null} totalCount - Number of available issues before filtering (null when no filter is set)
      */
-    renderIssues(issues) {
+    renderIssues(issues, changedIssueNumbers = new Set(), totalCount = null) {
         this.hideAll();
-        this.issuesContainer.empty();
+        this.resetIssueGrid();
+
+        this.issuesCount.text(totalCount === null ?
+            `(${issues.length})` :
+            `(${issues.length} of ${totalCount} match the filters)`);
 
         if (issues.length === 0) {
-            this.showNoIssues();
+            if (totalCount) {
+                this.noMatchingIssuesMessage.show();
+            } else {
+                this.showNoIssues();
+            }
             return;
         }
 
-        // Limit number of issues displayed according to configuration
-        const displayedIssues = issues.slice(0, BuddyExchangeConfig.maxIssuesDisplayed);
+        this.gridIssues = issues;
+        this.gridChangedIssueNumbers = changedIssueNumbers;
+        this.gridFiltered = totalCount !== null;
+        this.renderNextIssuePage();
+    }
+
+    /**
+     * Empty the issues grid and stop observing its cards
+     */
+    resetIssueGrid() {
+        if (this.cardObserver) {
+            this.cardObserver.disconnect();
+            this.cardObserver = null;
+        }
+        if (this.gridPageObserver) {
+            this.gridPageObserver.disconnect();
+            this.gridPageObserver = null;
+        }
 
-        displayedIssues.forEach(issue => {
+        this.gridIssues = [];
+        this.gridRenderedCount = 0;
+        this.issuesContainer.empty();
+    }
+
+    /**
+     * Add the next page of cards to the issues grid
+     *
+     * Another page is added when the end of the grid scrolls into view or "Show more" is
+     * clicked, so every available issue can be reached without leaving the app.
+     */
+    renderNextIssuePage() {
+        const pageSize = BuddyExchangeConfig.maxIssuesDisplayed;
+        // Parsing the request bodies is left until a page of cards is shown
+        const page = this.gridIssues.slice(this.gridRenderedCount, this.gridRenderedCount + pageSize)
+            .map(issue => window.app.registerAnalysis.formatIssueData(issue));
+
+        this.issuesContainer.find('.issue-grid-more').each((index, element) => {
+            if (this.gridPageObserver) {
+                this.gridPageObserver.unobserve(element);
+            }
+        }).remove();
+
+        page.forEach(issue => {
             const issueCard = this.createIssueCard(issue);
+
+            if (this.gridChangedIssueNumbers.has(issue.number)) {
+                this.markIssueCardUpdated(issueCard);
+            }
+
             this.issuesContainer.append(issueCard);
+
+            // Requests following the template are summarized instead of rendering the body (see createRequestSummary)
+            this.observeIssueCard(issueCard, issue.request.structured ? null : issue.body || '');
         });
 
-        // Show message if issues were truncated
-        if (issues.length > BuddyExchangeConfig.maxIssuesDisplayed) {
-            const remainingCount = issues.length - BuddyExchangeConfig.maxIssuesDisplayed;
-            this.issuesContainer.append(`
-                <div class="col-12">
-                    <div class="alert alert-info text-center">
-                        <strong>Showing ${BuddyExchangeConfig.maxIssuesDisplayed} of ${issues.length} available issues.</strong><br>
-                        ${remainingCount} more issue${remainingCount !== 1 ? 's' : ''} available.
-                        <a href="${window.app.githubAPI.generateAllBuddyExchangeIssuesSearchUrl()}" target="_blank" class="text-decoration-none">
-                            View all on GitHub
-                        </a>
-                    </div>
-                </div>
-            `);
+        this.gridRenderedCount += page.length;
+
+        const remainingCount = this.gridIssues.length - this.gridRenderedCount;
+        if (remainingCount === 0) {
+            return;
+        }
+
+        const $more = $(`
+            <div class="col-12 issue-grid-more text-center mb-4">
+                <p class="small text-muted mb-2"></p>
+                <button type="button" class="btn btn-outline-primary btn-sm"></button>
+            </div>
+        `);
+        $more.find('p').text(`Showing ${this.gridRenderedCount} of ${this.gridIssues.length} ${this.gridFiltered ? 'matching' : 'available'} issues`);
+        $more.find('button')
+            .text(`Show ${Math.min(pageSize, remainingCount)} more`)
+            .on('click', () => this.renderNextIssuePage());
+        this.issuesContainer.append($more);
+
+        if (typeof IntersectionObserver === 'undefined') {
+            return;
+        }
+
+        if (!this.gridPageObserver) {
+            this.gridPageObserver = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting && entry.target.isConnected)) {
+                    this.renderNextIssuePage();
+                }
+            }, { rootMargin: '200px 0px' });
+        }
+        this.gridPageObserver.observe($more[0]);
+    }
+
+    /**
+     * Fill in an issue card once it scrolls into view: its markdown body and its pending claims,
+     * which cost a comments request per issue
+     * @param {jQuery} $card - Issue card element
+     * @param {string|null} body - Issue body to render (markdown), or null to keep the card without one
+     */
+    observeIssueCard($card, body) {
+        $card.data('markdown', body);
+
+        if (typeof IntersectionObserver === 'undefined') {
+            this.showIssueCardsInView([$card]);
+            return;
+        }
+
+        if (!this.cardObserver) {
+            this.cardObserver = new IntersectionObserver(entries => {
+                const $cards = entries.filter(entry => entry.isIntersecting).map(entry => {
+                    this.cardObserver.unobserve(entry.target);
+                    return $(entry.target);
+                });
+
+                if ($cards.length > 0) {
+                    this.showIssueCardsInView($cards);
+                }
+            }, { rootMargin: '400px 0px' });
+        }
+
+        this.cardObserver.observe($card[0]);
+    }
+
+    /**
+     * Render the bodies of issue cards that came into view and show their pending claims
+     * @param {Array<jQuery>} $cards - Issue card elements
+     */
+    showIssueCardsInView($cards) {
+        $cards.forEach($card => {
+            if ($card.data('markdown') !== null) {
+                this.renderIssueCardBody($card, $card.data('markdown'));
+            }
+        });
+
+        window.app.showPendingClaimsFor($cards.map($card => $card.data('issue-number')));
+    }
+
+    /**
+     * Render the markdown body of an issue card
+     * @param {jQuery} $card - Issue card element
+     * @param {string} body - Issue body (markdown)
+     */
+    renderIssueCardBody($card, body) {
+        const renderedBody = this.renderMarkdown(body);
+
+        if (renderedBody) {
+            $card.find('.card-text.markdown-content').html(renderedBody).show();
         }
     }
 
+    /**
+     * Tell the user that sorting by pending claims only uses the claims read so far
+     * @param {number} unknownCount - Listed issues whose pending claims are not known yet (0 hides the note)
+     */
+    showIssueSortNote(unknownCount) {
+        if (unknownCount === 0) {
+            this.issueSortNote.hide();
+            return;
+        }
+
+        this.issueSortNote.text(`Partial order: the pending claims of ${unknownCount} issue${unknownCount !== 1 ? 's are' : ' is'} ` +
+            'not known yet, so they are listed last. Claims are read as the cards come into view and count the next time the list is sorted.').show();
+    }
+
+    /**
+     * Fill the filter bar with the choices present in the available issues and show the active filters
+     * @param {Object} options - Filter choices ({ labels: [{ name, color, count }], authors, languages })
+     * @param {Object} filters - Active issue filters
+     */
+    renderIssueFilters(options, filters) {
+        const fillSelect = ($select, allLabel, values, selected) => {
+            // A value from a shared link stays selectable even if no issue has it any more
+            const choices = selected && !values.includes(selected) ? [selected, ...values] : values;
+
+            $select.empty().append($('<option>', { value: '', text: allLabel }));
+            choices.forEach(value => $select.append($('<option>', { value, text: value })));
+            $select.val(selected);
+        };
+
+        fillSelect(this.issueFilterAuthor, 'All authors', options.authors, filters.author);
+        fillSelect(this.issueFilterLanguage, 'All languages', options.languages, filters.language);
+
+        // Do not reset the search text while it is being typed
+        if (!this.issueFilterSearch.is(':focus')) {
+            this.issueFilterSearch.val(filters.search);
+        }
+
+        const ageValue = filters.minAgeDays !== null ? `older:${filters.minAgeDays}` :
+            filters.maxAgeDays !== null ? `newer:${filters.maxAgeDays}` : '';
+        this.issueFilterAge.find('option.custom-age').remove();
+        if (ageValue && this.issueFilterAge.find(`option[value="${ageValue}"]`).length === 0) {
+            const [direction, days] = ageValue.split(':');
+            this.issueFilterAge.append($('<option>', {
+                class: 'custom-age',
+                value: ageValue,
+                text: direction === 'older' ? `Waiting over ${days} days` : `Opened in the last ${days} days`
+            }));
+        }
+        this.issueFilterAge.val(ageValue);
+
+        const selectedLabels = filters.labels.map(label => label.toLowerCase());
+        this.issueFilterLabels.empty();
+        options.labels.forEach(label => {
+            const active = selectedLabels.includes(label.name.toLowerCase());
+            const labelColor = label.color || 'cccccc';
+
+            this.issueFilterLabels.append($('<button>', {
+                type: 'button',
+                class: 'badge rounded-pill border me-1 mb-1 issue-filter-label',
+                style: active ?
+                    `background-color: #${labelColor}; color: ${this.getContrastColor(labelColor)}; border-color: #${labelColor} !important;` :
+                    `background-color: transparent; color: inherit; border-color: #${labelColor} !important;`,
+                'aria-pressed': active,
+                'data-label': label.name,
+                text: `${label.name} (${label.count})`
+            }));
+        });
+
+        this.issueFilterClear.toggle(window.app.registerAnalysis.hasActiveIssueFilters(filters));
+        this.issueFilterBar.show();
+    }
+
+    /**
+     * Change some issue filters and apply them
+     * @param {Object} changes - Filter values to replace
+     */
+    updateIssueFilters(changes) {
+        window.app.setIssueFilters({ ...window.app.issueFilters, ...changes });
+    }
+
+    /**
+     * Apply the search text once typing pauses
+     */
+    debouncedIssueSearch() {
+        clearTimeout(this.issueSearchDebounceTimer);
+
+        this.issueSearchDebounceTimer = setTimeout(() => {
+            this.updateIssueFilters({ search: this.issueFilterSearch.val() });
+        }, BuddyExchangeConfig.ui.searchDebounceTime);
+    }
+
     /**
      * Render markdown content as HTML
      * @param {string} markdown - Markdown content
@@ -166,16 +577,7 @@ class BuddyExchangeUI {
         const truncatedMarkdown = this.truncateText(markdown, actualMaxLength);
 
         try {
-            // Configure marked for GitHub-flavored markdown
-            marked.setOptions({
-                breaks: true,
-                gfm: true,
-                sanitize: false,
-                smartLists: true,
-                smartypants: false
-            });
-
-            return marked.parse(truncatedMarkdown);
+            return this.markdownRenderer.render(truncatedMarkdown);
         } catch (error) {
             console.error('Error rendering markdown:', error);
             // Fallback to escaped text if markdown parsing fails
@@ -190,22 +592,30 @@ class BuddyExchangeUI {
      */
     createIssueCard(issue) {
         const timeAgo = this.getTimeAgo(issue.createdAt);
-        const renderedBody = this.renderMarkdown(issue.body || '');
 
         // Create card element using DOM manipulation instead of template literals
-        // to avoid issues with HTML comments and backticks in markdown content
-        const cardElement = this.createIssueCardSafely(issue, timeAgo, renderedBody);
+        // to avoid issues with HTML comments and backticks in markdown content.
+        // The body is rendered once the card is in view (see observeIssueCard)
+        const cardElement = this.createIssueCardSafely(issue, timeAgo);
         return cardElement;
     }
 
+    /**
+     * Highlight an issue card that changed since the previous refresh
+     * @param {jQuery} $card - Issue card element
+     */
+    markIssueCardUpdated($card) {
+        $card.find('.issue-card').addClass('issue-card-updated');
+        $card.find('.card-header').append('<span class="badge bg-warning text-dark ms-2">Updated</span>');
+    }
+
     /**
      * Create issue card safely using DOM manipulation to avoid template string issues
      * @param {Object} issue - Formatted issue data
      * @param {string} timeAgo - Formatted time string
-     * @param {string} renderedBody - Rendered markdown content
-     * @returns {jQuery} Issue card element
+     * @returns {jQuery} Issue card element (the body is added by renderIssueCardBody)
      */
-    createIssueCardSafely(issue, timeAgo, renderedBody) {
+    createIssueCardSafely(issue, timeAgo) {
         // Create the basic card structure without dynamic content
         const $card = $(`
             <div class="col-md-6 col-lg-4 mb-4">
@@ -224,6 +634,8 @@ class BuddyExchangeUI {
                             </small>
                         </div>
 
+                        <div class="pending-claims small mb-3" style="display: none;"></div>
+
                         <div class="issue-content">
                             <div class="card-text markdown-content" style="display: none;"></div>
 
@@ -241,6 +653,9 @@ class BuddyExchangeUI {
                         <a href="" target="_blank" class="btn btn-primary btn-sm">
                             View on GitHub
                         </a>
+                        <a href="" class="btn btn-outline-secondary btn-sm ms-2 issue-details-link">
+                            Details
+                        </a>
                         <button class="btn btn-outline-success btn-sm ms-2" onclick="">
                             Claim Issue
                         </button>
@@ -250,34 +665,34 @@ class BuddyExchangeUI {
         `);
 
         // Safely populate the dynamic content
+        $card.attr('data-issue-number', issue.number);
         $card.find('.card-title a').attr('href', issue.url).text(`#${issue.number}: ${issue.title}`);
+
+        // Flag titles that break the title convention, so editors can fix them
+        const titleCheck = window.app.registerAnalysis.validateIssueTitle(issue.title, issue.createdAt.getUTCFullYear());
+        if (!titleCheck.valid) {
+            $('<span class="badge bg-warning text-dark ms-2 title-warning" role="img">&#9888;</span>')
+                .attr('title', `Title does not follow the convention:\n${titleCheck.findings.map(finding => finding.message).join('\n')}`)
+                .attr('aria-label', 'Title does not follow the convention')
+                .appendTo($card.find('.card-header'));
+        }
         $card.find('.avatar').attr('src', issue.author.avatar).attr('alt', issue.author.login);
         $card.find('small.text-muted a').attr('href', issue.author.url).text(issue.author.login);
         $card.find('small.text-muted .ms-2').text(timeAgo);
         $card.find('.comment-count').text(issue.comments);
-        $card.find('.card-footer a').attr('href', issue.url);
-        $card.find('.card-footer button').attr('onclick', `ui.claimIssue('${issue.url}')`);
+        $card.find('.card-footer a').first().attr('href', issue.url);
+        $card.find('.issue-details-link').attr('href', `#/issue/${issue.number}`);
+        $card.find('.card-footer button').attr('onclick', `ui.claimIssue('${issue.url}', ${issue.number})`);
 
-        // Add rendered body content safely
-        if (renderedBody) {
-            $card.find('.card-text.markdown-content').html(renderedBody).show();
+        if (issue.request.structured) {
+            $card.find('.card-text.markdown-content').replaceWith(this.createRequestSummary(issue.request.fields));
         }
 
         // Add labels safely
         const $labelsContainer = $card.find('.labels');
         if (issue.labels && issue.labels.length > 0) {
             issue.labels.forEach(label => {
-                const labelColor = label.color || 'cccccc';
-                const textColor = this.getContrastColor(labelColor);
-                const $labelLink = $('<a>', {
-                    href: this.getLabelUrl(label.name),
-                    target: '_blank',
-                    class: 'badge me-1 text-decoration-none',
-                    style: `background-color: #${labelColor}; color: ${textColor};`,
-                    title: `View all issues with label '${label.name}'`,
-                    text: label.name
-                });
-                $labelsContainer.append($labelLink);
+                $labelsContainer.append(this.createLabelBadge(label));
             });
         } else {
             $labelsContainer.append('<small class="text-muted">No labels</small>');
@@ -286,13 +701,240 @@ class BuddyExchangeUI {
         return $card;
     }
 
+    /**
+     * Create the compact summary of a request that follows the buddy exchange request template
+     * @param {Array} fields - Filled template sections ({ key, label, text, url })
+     * @returns {jQuery} Summary element
+     */
+    createRequestSummary(fields) {
+        const $summary = $('<div class="request-summary small mb-3">');
+        const $list = $('<dl class="row mb-0">');
+
+        fields.forEach(field => {
+            const text = this.truncateText(field.text, 100);
+
+            if (field.key === 'title') {
+                $summary.append($('<p class="fw-semibold mb-2">').text(text));
+                return;
+            }
+
+            const $value = field.url ?
+                $('<a target="_blank" class="text-decoration-none">').attr('href', field.url).text(text) :
+                document.createTextNode(text);
+
+            $list.append(
+                $('<dt class="col-4 fw-normal text-muted">').text(field.label),
+                $('<dd class="col-8 mb-1 text-break">').append($value)
+            );
+        });
+
+        return $summary.append($list);
+    }
+
+    /**
+     * Create a label badge linking to the issues with that label
+     * @param {Object} label - Label ({ name, color })
+     * @returns {jQuery} Label badge element
+     */
+    createLabelBadge(label) {
+        const labelColor = label.color || 'cccccc';
+        const textColor = this.getContrastColor(labelColor);
+
+        return $('<a>', {
+            href: this.getLabelUrl(label.name),
+            target: '_blank',
+            class: 'badge me-1 text-decoration-none',
+            style: `background-color: #${labelColor}; color: ${textColor};`,
+            title: `View all issues with label '${label.name}'`,
+            text: label.name
+        });
+    }
+
+    /**
+     * Show the claims waiting for assignment on an issue card
+     * @param {number} issueNumber - Issue number
+     * @param {Object} claims - Pending claims ({ count, claimants, latest })
+     */
+    showPendingClaims(issueNumber, claims) {
+        this.fillPendingClaims(this.issuesContainer.find(`[data-issue-number="${issueNumber}"] .pending-claims`), claims);
+    }
+
+    /**
+     * Describe the pending claims of an issue in a .pending-claims element
+     * @param {jQuery} $claims - Pending claims element
+     * @param {Object} claims - Pending claims ({ count, claimants, latest })
+     */
+    fillPendingClaims($claims, claims) {
+        if (claims.count === 0) {
+            $claims.attr('class', 'pending-claims small mb-3 text-success').text('No pending claims').show();
+            return;
+        }
+
+        const $latest = $('<a target="_blank" class="text-decoration-none">')
+            .attr('href', claims.latest.url)
+            .text(`@${claims.latest.login}`);
+
+        $claims
+            .attr('class', 'pending-claims small mb-3 text-warning-emphasis')
+            .attr('title', `Waiting for assignment: ${claims.claimants.map(claimant => `@${claimant.login}`).join(', ')}`)
+            .text(`${claims.count} pending claim${claims.count !== 1 ? 's' : ''} (latest by `)
+            .append($latest, `, ${this.getTimeAgo(claims.latest.createdAt)})`)
+            .show();
+    }
+
+    /**
+     * Show the detail view of an issue with a loading indicator (keeps the content while the same issue reloads)
+     * @param {number} issueNumber - Issue number
+     */
+    showIssueDetailLoading(issueNumber) {
+        if (!this.appMain.hasClass('issue-detail-active')) {
+            // Return to the same place in the overview when the detail view is closed
+            this.overviewScrollY = window.scrollY;
+            this.appMain.addClass('issue-detail-active');
+            window.scrollTo(0, 0);
+        }
+
+        this.issueDetailContainer.show();
+        this.issueDetailError.hide();
+
+        if (this.issueDetailNumber !== issueNumber) {
+            this.issueDetailNumber = issueNumber;
+            this.issueDetail.hide();
+            this.issueDetailLoading.show();
+        }
+    }
+
+    /**
+     * Close the detail view and return to the overview
+     */
+    hideIssueDetail() {
+        if (!this.appMain.hasClass('issue-detail-active')) {
+            return;
+        }
+
+        this.issueDetailNumber = null;
+        this.issueDetailContainer.hide();
+        this.appMain.removeClass('issue-detail-active');
+        window.scrollTo(0, this.overviewScrollY);
+    }
+
+    /**
+     * Show an error in the detail view
+     * @param {string} message - Error message
+     */
+    showIssueDetailError(message) {
+        this.issueDetailLoading.hide();
+        this.issueDetail.hide();
+        this.issueDetailErrorMessage.text(message);
+        this.issueDetailError.show();
+    }
+
+    /**
+     * Render the detail view of an issue
+     * @param {Object} detail - Issue detail ({ issue: formatted issue data, assignees, claimable, claims, comments, labelTimeline })
+     */
+    renderIssueDetail({ issue, assignees, claimable, claims, comments, labelTimeline }) {
+        this.issueDetailLoading.hide();
+        this.issueDetailError.hide();
+
+        this.issueDetailTitle.text(`#${issue.number}: ${issue.title}`);
+        this.issueDetailMeta.empty().append(
+            $('<span class="badge me-2">')
+                .addClass(issue.state === 'open' ? 'bg-success' : 'bg-secondary')
+                .text(issue.state === 'open' ? 'Open' : 'Closed'),
+            'Opened by ',
+            $('<a target="_blank" class="text-decoration-none">').attr('href', issue.author.url).text(issue.author.login),
+            ` ${this.getTimeAgo(issue.createdAt)}, updated ${this.getTimeAgo(issue.updatedAt)}`
+        );
+        this.issueDetailGitHubLink.attr('href', issue.url);
+        this.issueDetailClaimBtn.toggle(claimable).off('click').on('click', () => this.claimIssue(issue.url, issue.number));
+
+        const renderedBody = this.renderMarkdown(issue.body || '', Infinity);
+        this.issueDetailBody.html(renderedBody || '<p class="text-muted mb-0">No description provided.</p>');
+
+        this.fillPendingClaims(this.issueDetailClaims, claims);
+
+        this.issueDetailLabels.empty();
+        if (issue.labels.length > 0) {
+            issue.labels.forEach(label => this.issueDetailLabels.append(this.createLabelBadge(label)));
+        } else {
+            this.issueDetailLabels.append('<small class="text-muted">No labels</small>');
+        }
+
+        this.issueDetailAssignees.empty();
+        if (assignees.length > 0) {
+            assignees.forEach(assignee => {
+                this.issueDetailAssignees.append($('<div class="d-flex align-items-center mb-1">').append(
+                    $('<img class="avatar me-2" width="20" height="20">').attr('src', assignee.avatar_url).attr('alt', assignee.login),
+                    $('<a target="_blank" class="text-decoration-none">').attr('href', assignee.html_url).text(assignee.login)
+                ));
+            });
+        } else {
+            this.issueDetailAssignees.append('<small class="text-muted">No codechecker assigned yet</small>');
+        }
+
+        this.issueDetailTimeline.empty();
+        if (labelTimeline.length > 0) {
+            labelTimeline.forEach(change => {
+                this.issueDetailTimeline.append($('<li class="list-group-item small">').append(
+                    $('<span class="me-1">').text(change.action === 'added' ? 'Added' : 'Removed'),
+                    this.createLabelBadge(change.label),
+                    $('<div class="text-muted">')
+                        .attr('title', change.createdAt.toLocaleString())
+                        .text(`${change.actor ? `by @${change.actor} ` : ''}${this.getTimeAgo(change.createdAt)}`)
+                ));
+            });
+        } else {
+            this.issueDetailTimeline.append('<li class="list-group-item small text-muted">No label changes</li>');
+        }
+
+        this.issueDetailCommentCount.text(`(${comments.length})`);
+        this.issueDetailComments.empty();
+        if (comments.length > 0) {
+            const claimUrls = new Set(claims.claimants.map(claimant => claimant.url));
+            comments.forEach(comment => this.issueDetailComments.append(this.createIssueComment(comment, claimUrls.has(comment.html_url))));
+        } else {
+            this.issueDetailComments.append('<p class="text-muted small">No comments yet.</p>');
+        }
+
+        this.issueDetail.show();
+    }
+
+    /**
+     * Create a comment of the detail view's comment thread
+     * @param {Object} comment - GitHub issue comment
+     * @param {boolean} isClaim - Whether the comment is a pending claim
+     * @returns {jQuery} Comment element
+     */
+    createIssueComment(comment, isClaim) {
+        const createdAt = new Date(comment.created_at);
+        const $header = $('<div class="card-header small d-flex align-items-center">').append(
+            $('<img class="avatar me-2" width="20" height="20">').attr('src', comment.user.avatar_url).attr('alt', comment.user.login),
+            $('<a target="_blank" class="text-decoration-none me-1">').attr('href', comment.user.html_url).text(comment.user.login),
+            $('<a target="_blank" class="text-muted text-decoration-none">')
+                .attr('href', comment.html_url)
+                .attr('title', createdAt.toLocaleString())
+                .text(this.getTimeAgo(createdAt))
+        );
+
+        if (isClaim) {
+            $header.append('<span class="badge bg-warning text-dark ms-auto">Claim</span>');
+        }
+
+        return $('<div class="card mb-3">').append(
+            $header,
+            $('<div class="card-body markdown-content">').html(this.renderMarkdown(comment.body || '', Infinity))
+        );
+    }
+
     /**
      * Handle issue claiming
      * @param {string} issueUrl - GitHub issue URL
+     * @param {number} issueNumber - Issue number
      */
-    claimIssue(issueUrl) {
+    claimIssue(issueUrl, issueNumber) {
         // Show modal with instructions (don't open GitHub page)
-        this.showClaimInstructions(issueUrl);
+        this.showClaimInstructions(issueUrl, issueNumber);
     }
 
     /**
@@ -306,6 +948,12 @@ class BuddyExchangeUI {
             return storedUsername;
         }
 
+        // Then use the identity of the configured access token
+        const tokenLogin = this.getStoredTokenLogin();
+        if (tokenLogin) {
+            return tokenLogin;
+        }
+
         // Fallback to browser detection (legacy method)
         try {
             // Try to fetch the GitHub user API to check if logged in
@@ -341,17 +989,25 @@ class BuddyExchangeUI {
     /**
      * Show instructions for claiming an issue
      * @param {string} issueUrl - GitHub issue URL
+     * @param {number} issueNumber - Issue number
      */
-    async showClaimInstructions(issueUrl) {
+    async showClaimInstructions(issueUrl, issueNumber) {
         const githubUsername = await this.getGitHubUsername();
         const usernameDisplay = githubUsername ? `@${githubUsername}` : '@your-github-username';
         const hasConfiguredUsername = !!this.getStoredGitHubUsername();
 
-        const markdownSnippet = `I would like to claim this issue for CODECHECK review.
+        // Signed-in users can post the claim through the API
+        const tokenLogin = this.getStoredGitHubToken() ? this.getStoredTokenLogin() : null;
 
-${usernameDisplay} is interested in conducting the computational reproducibility check for this submission.
+        // Claiming one's own issue, or the issue of someone who checked one's request, is discouraged.
+        // A posted claim comes from the token's account, which may differ from the configured username.
+        const claimant = tokenLogin || githubUsername;
+        const issue = window.app.issueStore.issues.find(candidate => candidate.number === issueNumber);
+        const claimWarnings = claimant && issue ?
+            window.app.registerAnalysis.getClaimWarnings(issue, window.app.issueStore.getExchangeBalance(claimant)) :
+            [];
 
-Please assign me to this issue if available. Thank you!`;
+        const markdownSnippet = window.app.registerAnalysis.formatClaimComment(usernameDisplay);
 
         const modal = $(`
             <div class="modal fade" id="claimModal" tabindex="-1">
@@ -362,6 +1018,15 @@ Please assign me to this issue if available. Thank you!`;
                             <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
                         </div>
                         <div class="modal-body">
+                            ${claimWarnings.length > 0 ? `
+                            <div class="alert alert-warning mb-4" role="alert">
+                                <h6>⚠️ Before you claim:</h6>
+                                <ul class="mb-0">
+                                    ${claimWarnings.map(warning => `<li>${this.escapeHtml(warning.message)}</li>`).join('')}
+                                </ul>
+                            </div>
+                            ` : ''}
+
                             ${!hasConfiguredUsername ? `
                             <div class="alert alert-info mb-4">
                                 <h6>💡 Tip:</h6>
@@ -373,7 +1038,7 @@ Please assign me to this issue if available. Thank you!`;
                                 <h6>How to claim this issue:</h6>
                                 <ol>
                                     <li>Copy the markdown snippet below</li>
-                                    <li>Go to the GitHub issue and paste it as a comment</li>
+                                    <li>Go to the GitHub issue and paste it as a comment${tokenLogin ? ', or post it from here with "Post Claim"' : ''}</li>
                                     <li>Wait for the issue author to assign you</li>
                                     <li>Once assigned, start working on your CODECHECK</li>
                                     <li>Remember: this follows the "give one, get one" principle</li>
@@ -392,7 +1057,14 @@ Please assign me to this issue if available. Thank you!`;
                                 <a href="${issueUrl}" target="_blank" class="btn btn-outline-primary">
                                     🔗 Open GitHub Issue
                                 </a>
+                                ${tokenLogin ? `
+                                <button type="button" class="btn btn-success claim-post-btn">
+                                    💬 Post Claim as @${this.escapeHtml(tokenLogin)}
+                                </button>
+                                ` : ''}
                             </div>
+
+                            <div class="claim-post-result alert small py-2 mt-3 mb-0" style="display: none;" role="status"></div>
                         </div>
                         <div class="modal-footer">
                             <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
@@ -417,6 +1089,80 @@ Please assign me to this issue if available. Thank you!`;
             modalInstance.hide();
             this.showSettingsConfigModal();
         });
+
+        if (tokenLogin) {
+            modal.find('.claim-post-btn').on('click', () => this.postClaim(modal, issueNumber, tokenLogin));
+            this.showExistingClaim(modal, issueNumber, tokenLogin);
+        }
+    }
+
+    /**
+     * Tell the user in the claim modal if they already claimed the issue, instead of offering to post again
+     * @param {jQuery} modal - Claim modal
+     * @param {number} issueNumber - Issue number
+     * @param {string} login - GitHub login the access token belongs to
+     */
+    async showExistingClaim(modal, issueNumber, login) {
+        try {
+            const existing = await window.app.findOwnClaimComment(issueNumber, login);
+            if (existing) {
+                this.showClaimPostResult(modal, 'info', `You already claimed this issue on ${new Date(existing.created_at).toLocaleDateString()}. `, existing.html_url);
+            }
+        } catch (error) {
+            // Posting checks again, so the modal stays usable
+            console.warn('Could not check for an earlier claim:', error);
+        }
+    }
+
+    /**
+     * Post the claim snippet as a comment on the issue
+     * @param {jQuery} modal - Claim modal
+     * @param {number} issueNumber - Issue number
+     * @param {string} login - GitHub login the access token belongs to
+     */
+    async postClaim(modal, issueNumber, login) {
+        const $button = modal.find('.claim-post-btn');
+        const originalLabel = $button.text();
+
+        $button.prop('disabled', true).text('Posting claim...');
+
+        try {
+            // Mention the account that posts the comment, not the configured username
+            const body = window.app.registerAnalysis.formatClaimComment(`@${login}`);
+            const result = await window.app.postClaimComment(issueNumber, body, login);
+
+            if (result.existing) {
+                this.showClaimPostResult(modal, 'info',
+                    `You already claimed this issue on ${new Date(result.existing.created_at).toLocaleDateString()}, so it was not posted again. `,
+                    result.existing.html_url);
+            } else {
+                this.showClaimPostResult(modal, 'success', 'Your claim was posted. ', result.comment.html_url);
+            }
+
+        } catch (error) {
+            console.error('Error posting claim:', error);
+            modal.find('.claim-post-result')
+                .attr('class', 'claim-post-result alert alert-danger small py-2 mt-3 mb-0')
+                .text(`Failed to post the claim. ${window.app.describeError(error)} You can still copy the snippet and comment on GitHub.`)
+                .show();
+            $button.prop('disabled', false).text(originalLabel);
+        }
+    }
+
+    /**
+     * Show the claim comment in the claim modal and remove the post button
+     * @param {jQuery} modal - Claim modal
+     * @param {string} type - Bootstrap alert type ('success' or 'info')
+     * @param {string} message - Message to show
+     * @param {string} commentUrl - Link to the claim comment
+     */
+    showClaimPostResult(modal, type, message, commentUrl) {
+        modal.find('.claim-post-btn').remove();
+        modal.find('.claim-post-result')
+            .attr('class', `claim-post-result alert alert-${type} small py-2 mt-3 mb-0`)
+            .text(message)
+            .append($('<a target="_blank" class="alert-link">').attr('href', commentUrl).text('View the comment on GitHub'))
+            .show();
     }
 
     /**
@@ -532,6 +1278,7 @@ Please assign me to this issue if available. Thank you!`;
      */
     showLeaderboardLoading() {
         this.leaderboardError.hide();
+        this.resetFetchProgress('leaderboard');
         this.leaderboardLoading.show();
     }
 
@@ -568,11 +1315,11 @@ Please assign me to this issue if available. Thank you!`;
         this.lastUpdated.text(this.getTimeAgo(lastUpdated));
 
         // Set up link for total completed to show all closed issues
-        const allClosedIssuesUrl = window.app.githubAPI.generateAllClosedIssuesSearchUrl();
+        const allClosedIssuesUrl = window.app.registerAnalysis.generateAllClosedIssuesSearchUrl();
         this.totalCompleted.attr('href', allClosedIssuesUrl).attr('target', '_blank');
 
         // Set up link for active contributors to show all buddy exchange issues
-        const allBuddyExchangeIssuesUrl = window.app.githubAPI.generateAllBuddyExchangeIssuesSearchUrl();
+        const allBuddyExchangeIssuesUrl = window.app.registerAnalysis.generateAllBuddyExchangeIssuesSearchUrl();
         this.activeContributors.attr('href', allBuddyExchangeIssuesUrl).attr('target', '_blank');
 
         // Clear and populate leaderboard list
@@ -608,6 +1355,93 @@ Please assign me to this issue if available. Thank you!`;
         }
     }
 
+    /**
+     * Render the personal "My exchange" section
+     * @param {Object|null} myExchange - Personal exchange ({ requests, inProgress, completed, balance }), or null to hide the section
+     */
+    renderMyExchange(myExchange) {
+        if (!myExchange) {
+            this.myExchangeContainer.hide();
+            return;
+        }
+
+        const { requests, inProgress, completed, balance } = myExchange;
+
+        this.myExchangeUsername.text(`@${balance.username}`);
+        this.myExchangeBalance.empty().append(
+            $('<span class="badge bg-secondary me-1">').text(`${balance.receivedChecks} received`),
+            $('<span class="badge bg-primary me-1">').text(`${balance.conductedChecks} conducted`),
+            $('<span class="badge">')
+                .addClass(balance.inDeficit ? 'bg-warning text-dark' : 'bg-success')
+                .attr('title', balance.inDeficit ? `${balance.deficit} more check${balance.deficit !== 1 ? 's' : ''} to give` : 'Balanced')
+                .text(`ratio ${balance.ratio.toFixed(1)}`)
+        );
+
+        const statusBadges = {
+            waiting: ['bg-warning text-dark', 'Waiting for a codechecker'],
+            assigned: ['bg-info text-dark', 'In progress'],
+            closed: ['bg-secondary', 'Closed']
+        };
+
+        this.renderMyExchangeList(this.myExchangeRequests, requests.map(({ issue, status, assignees }) => {
+            const [badgeClass, label] = statusBadges[status];
+            return this.createMyExchangeItem(issue,
+                $('<span class="badge">').addClass(badgeClass).text(label),
+                assignees.length > 0 ? `Codechecker: ${assignees.map(login => `@${login}`).join(', ')}` : null);
+        }), 'No requests yet. Use "Submit My Request" to ask for a check.');
+
+        this.renderMyExchangeList(this.myExchangeInProgress, inProgress.map(issue =>
+            this.createMyExchangeItem(issue, null, `Requested by @${issue.user.login} ${this.getTimeAgo(new Date(issue.created_at))}`)
+        ), 'No checks in progress. Claim one of the available issues below.');
+
+        this.renderMyExchangeList(this.myExchangeCompleted, completed.map(issue =>
+            this.createMyExchangeItem(issue, null, `Completed ${this.getTimeAgo(new Date(issue.closed_at))}`)
+        ), 'No completed checks yet.');
+
+        this.myExchangeContainer.show();
+    }
+
+    /**
+     * Fill one list of the "My exchange" section
+     * @param {jQuery} $list - List element
+     * @param {Array} items - List items
+     * @param {string} emptyText - Text shown when there are no items
+     */
+    renderMyExchangeList($list, items, emptyText) {
+        $list.empty();
+
+        if (items.length === 0) {
+            $list.append($('<div class="list-group-item small text-muted">').text(emptyText));
+            return;
+        }
+
+        $list.append(items);
+    }
+
+    /**
+     * Create an issue item for the "My exchange" section
+     * @param {Object} issue - GitHub issue
+     * @param {jQuery|null} $badge - Status badge
+     * @param {string|null} detail - Secondary line
+     * @returns {jQuery} List item linking to the issue
+     */
+    createMyExchangeItem(issue, $badge, detail) {
+        const $item = $('<a target="_blank" class="list-group-item list-group-item-action small">').attr('href', issue.html_url);
+        const $heading = $('<div class="d-flex justify-content-between align-items-start">')
+            .append($('<span class="me-2">').text(`#${issue.number}: ${issue.title}`));
+
+        if ($badge) {
+            $heading.append($badge);
+        }
+
+        $item.append($heading);
+        if (detail) {
+            $item.append($('<div class="text-muted">').text(detail));
+        }
+
+        return $item;
+    }
+
     /**
      * Create a leaderboard item element
      * @param {Object} user - User data
@@ -663,6 +1497,7 @@ Please assign me to this issue if available. Thank you!`;
      */
     showFindBuddyLoading() {
         this.findBuddyError.hide();
+        this.resetFetchProgress('buddies');
         this.findBuddyLoading.show();
     }
 
@@ -679,10 +1514,25 @@ Please assign me to this issue if available. Thank you!`;
      */
     showFindBuddyError(message) {
         this.hideFindBuddyLoading();
+        this.findBuddyMetadataWarning.hide();
         this.findBuddyErrorMessage.text(message);
         this.findBuddyError.show();
     }
 
+    /**
+     * Show or hide the warning that codecheckers metadata is missing from the buddy list
+     * @param {string|null} message - Warning message, or null to hide the warning
+     */
+    showFindBuddyMetadataWarning(message) {
+        if (!message) {
+            this.findBuddyMetadataWarning.hide();
+            return;
+        }
+
+        this.findBuddyMetadataWarningText.text(message);
+        this.findBuddyMetadataWarning.show();
+    }
+
     /**
      * Render find buddy data
      * @param {Array} recipients - Array of all users who have received buddy exchange checks
@@ -825,12 +1675,72 @@ Please assign me to this issue if available. Thank you!`;
             }
         });
 
+        // Create the identifier issue through the API (signed-in users)
+        this.createIdentifierIssueBtn.on('click', () => this.createIdentifierIssue());
+
+        // Check the issue title while it is edited
+        this.suggestedTitle.on('input', () => this.updateSuggestedTitle());
+
+        // Integrity report link in the next identifier modal, and the way back
+        $('#identifier-report-link').on('click', (e) => {
+            e.preventDefault();
+            this.switchModal(this.nextIdentifierModal, () => this.showIdentifierReportModal());
+        });
+        $('#identifier-report-back-btn').on('click', () => {
+            this.switchModal(this.identifierReportModal, () => this.showNextIdentifierModal());
+        });
+
         // Settings configuration link
         this.configureSettingsLink.on('click', (e) => {
             e.preventDefault();
             this.showSettingsConfigModal();
         });
 
+        // Filter bar of the available issues
+        this.issueFilterSearch.on('input', () => this.debouncedIssueSearch());
+        this.issueFilterAuthor.on('change', () => this.updateIssueFilters({ author: this.issueFilterAuthor.val() }));
+        this.issueFilterLanguage.on('change', () => this.updateIssueFilters({ language: this.issueFilterLanguage.val() }));
+        this.issueFilterAge.on('change', () => {
+            const [direction, days] = this.issueFilterAge.val().split(':');
+            this.updateIssueFilters({
+                minAgeDays: direction === 'older' ? Number(days) : null,
+                maxAgeDays: direction === 'newer' ? Number(days) : null
+            });
+        });
+        this.issueFilterLabels.on('click', '.issue-filter-label', (e) => {
+            const name = $(e.currentTarget).data('label');
+            const labels = window.app.issueFilters.labels;
+            const selected = labels.some(label => label.toLowerCase() === String(name).toLowerCase());
+
+            this.updateIssueFilters({
+                labels: selected ? labels.filter(label => label.toLowerCase() !== String(name).toLowerCase()) : [...labels, name]
+            });
+        });
+        this.issueSortSelect.val(window.app.issueSort);
+        this.issueSortSelect.on('change', () => window.app.setIssueSort(this.issueSortSelect.val()));
+        this.issueFilterClear.on('click', (e) => {
+            e.preventDefault();
+            clearTimeout(this.issueSearchDebounceTimer);
+            this.issueFilterSearch.val('');
+            window.app.setIssueFilters(window.app.registerAnalysis.getDefaultIssueFilters());
+        });
+
+        // Per-panel retry buttons
+        $('#issues-retry-btn').on('click', () => window.app.loadIssues());
+        $('#leaderboard-retry-btn').on('click', () => window.app.loadLeaderboard());
+        $('#find-buddy-retry-btn, #find-buddy-metadata-retry-btn').on('click', () => window.app.loadBuddyData());
+        $('#identifier-retry-btn').on('click', () => this.loadNextIdentifier());
+        $('#issue-detail-retry-btn').on('click', () => {
+            this.issueDetailNumber = null;
+            window.app.showRoute();
+        });
+
+        // Sign-in link in the quota banner
+        this.rateLimitSignInLink.on('click', (e) => {
+            e.preventDefault();
+            this.showSettingsConfigModal();
+        });
+
         // Save settings button
         this.saveSettingsBtn.on('click', () => {
             this.saveSettings();
@@ -854,6 +1764,12 @@ Please assign me to this issue if available. Thank you!`;
             }
         });
 
+        this.githubTokenInput.on('keypress', (e) => {
+            if (e.which === 13) { // Enter key
+                this.saveSettings();
+            }
+        });
+
         // Add debounced input listener for username field
         this.githubUsernameInput.on('input', (e) => {
             this.debouncedFetchGitHubUserInfo();
@@ -865,7 +1781,7 @@ Please assign me to this issue if available. Thank you!`;
         });
 
         // Set up assigned issues link
-        const assignedIssuesUrl = window.app.githubAPI.generateAssignedOpenIssuesSearchUrl();
+        const assignedIssuesUrl = window.app.registerAnalysis.generateAssignedOpenIssuesSearchUrl();
         this.assignedIssuesLink.attr('href', assignedIssuesUrl).attr('target', '_blank');
 
         // Instance selector change handler
@@ -876,11 +1792,39 @@ Please assign me to this issue if available. Thank you!`;
             window.app.switchInstance();
         });
 
-        // Apply stored instance on startup
+        // Data source selector change handler
+        Object.entries(BuddyExchangeConfig.dataSources).forEach(([key, dataSource]) => {
+            this.dataSourceSelector.append($('<option>').val(key).text(dataSource.label));
+        });
+
+        this.dataSourceSelector.on('change', (e) => {
+            BuddyExchangeConfig.setActiveDataSource(e.target.value);
+            this.updateDataSourceUI();
+            window.app.switchInstance();
+        });
+
+        // Apply stored instance and data source on startup
         this.updateInstanceUI();
+        this.updateDataSourceUI();
 
     }
 
+    /**
+     * Update UI elements to reflect the current data source
+     */
+    updateDataSourceUI() {
+        const activeDataSource = BuddyExchangeConfig.getActiveDataSource();
+        const dataSource = BuddyExchangeConfig.dataSources[activeDataSource];
+        this.dataSourceSelector.val(activeDataSource);
+
+        if (dataSource.fixture) {
+            this.fixtureWarningLabel.text(dataSource.label);
+            this.fixtureWarningWrapper.show();
+        } else {
+            this.fixtureWarningWrapper.hide();
+        }
+    }
+
     /**
      * Update UI elements to reflect the current register instance
      */
@@ -912,35 +1856,103 @@ Please assign me to this issue if available. Thank you!`;
         const modalInstance = new bootstrap.Modal(this.nextIdentifierModal[0]);
         modalInstance.show();
 
+        await this.loadNextIdentifier();
+    }
+
+    /**
+     * Fetch the next available identifier and show it in the open modal
+     */
+    async loadNextIdentifier() {
         // Reset modal state
         this.identifierContent.hide();
         this.identifierError.hide();
         this.submitWithIdentifier.hide();
+        this.createIdentifierIssueBtn.hide();
         $('#submit-identifier-hint').hide();
+        this.resetFetchProgress('identifier');
         this.identifierLoading.show();
 
         try {
-            // Fetch all issues from the repository
-            const allIssues = await window.app.githubAPI.fetchAllIssues();
-
-            // Extract certificate identifiers from titles
-            const existingIdentifiers = window.app.githubAPI.extractCertificateIdentifiers(allIssues);
-
-            // Calculate next available identifier
-            const nextNumber = window.app.githubAPI.calculateNextIdentifier(existingIdentifiers);
-            const nextIdentifier = window.app.githubAPI.formatCertificateIdentifier(nextNumber);
+            // Calculate next available identifier of the current sequence from issue titles and published certificates
+            const result = await window.app.calculateNextIdentifier();
 
             // Update modal content
-            this.displayNextIdentifier(nextIdentifier);
+            this.displayIdentifierCalculation(result);
 
         } catch (error) {
             console.error('Error fetching next identifier:', error);
-            this.showIdentifierError('Failed to fetch next identifier. Please try again later.');
+            this.showIdentifierError(`Failed to fetch next identifier. ${window.app.describeError(error)}`);
         } finally {
             this.identifierLoading.hide();
         }
     }
 
+    /**
+     * Show the next identifier and what it was derived from in the modal
+     * @param {Object} result - Result of BuddyExchangeApp.calculateNextIdentifier
+     */
+    displayIdentifierCalculation(result) {
+        this.nextIdentifierNumber = result.nextNumber;
+        this.identifierCreateResult.hide();
+
+        this.displayIdentifierFormat();
+        this.displayNextIdentifier(result.nextIdentifier);
+        this.displayUsedIdentifiers(result.usedIdentifiers, result.listingError);
+        this.displayIgnoredTitles(result.ignored);
+        this.displayIdentifierProblems(window.app.issueStore.getIdentifierReport());
+        this.displayExchangeBalance();
+    }
+
+    /**
+     * Show the give-one-get-one balance of the user requesting a check, nudging them towards open issues if they owe checks
+     */
+    displayExchangeBalance() {
+        const username = this.getStoredGitHubUsername() || this.getStoredTokenLogin();
+        const $balance = $('#exchange-balance').empty();
+
+        if (!username) {
+            $balance.attr('class', 'alert alert-light small py-2')
+                .text('Save your GitHub username in "Configure my default settings" to see your give-one-get-one balance.');
+            return;
+        }
+
+        const balance = window.app.issueStore.getExchangeBalance(username);
+        const checks = count => `${count} check${count !== 1 ? 's' : ''}`;
+        const summary = `@${balance.username} has received ${checks(balance.receivedChecks)} and conducted ${checks(balance.conductedChecks)}. `;
+
+        if (!balance.inDeficit) {
+            $balance.attr('class', 'alert alert-success small py-2')
+                .text(summary + (balance.receivedChecks === 0 ?
+                    'Welcome to the buddy exchange! Remember to claim an open issue in return for your request.' :
+                    'Thank you for giving back!'));
+            return;
+        }
+
+        const $browseLink = $('<a href="#" class="alert-link">').text('Browse the open issues').on('click', (e) => {
+            e.preventDefault();
+            bootstrap.Modal.getInstance(this.nextIdentifierModal[0]).hide();
+            this.issuesContainer[0].scrollIntoView({ behavior: 'smooth' });
+        });
+
+        $balance.attr('class', 'alert alert-warning small py-2')
+            .text(`${summary}Give one, get one: please claim ${balance.deficit === 1 ? 'an open issue' : `${balance.deficit} open issues`} to balance your requests. `)
+            .append($browseLink);
+    }
+
+    /**
+     * Describe the identifier format and title template of the active instance in the modal
+     */
+    displayIdentifierFormat() {
+        const registerAnalysis = window.app.registerAnalysis;
+        const format = registerAnalysis.describeIdentifierFormat();
+
+        $('.identifier-format').text(format);
+        $('#identifier-title-format').text(registerAnalysis.formatIssueTitle('Author Name', format));
+        $('#identifier-sequence-rule').text(registerAnalysis.getCurrentSequenceYear() === null ?
+            'Take the number after the highest identifier' :
+            'Take the number after the highest identifier of the current year');
+    }
+
     /**
      * Display the next identifier in the modal
      * @param {string} identifier - The next available identifier
@@ -955,11 +1967,11 @@ Please assign me to this issue if available. Thank you!`;
 
         if (storedAuthorName) {
             // Use stored author name without square brackets
-            suggestedTitle = `${storedAuthorName} | ${identifier}`;
+            suggestedTitle = window.app.registerAnalysis.formatIssueTitle(storedAuthorName, identifier);
             usedStoredInfo = true;
         } else {
             // Use placeholder with square brackets
-            suggestedTitle = `[Author Name] | ${identifier}`;
+            suggestedTitle = window.app.registerAnalysis.formatIssueTitle('[Author Name]', identifier);
         }
 
         this.suggestedTitle.val(suggestedTitle);
@@ -967,6 +1979,35 @@ Please assign me to this issue if available. Thank you!`;
         // Show/hide note about using stored information
         this.updateStoredInfoNote(usedStoredInfo);
 
+        this.submitWithIdentifier.show();
+        $('#submit-identifier-hint').show();
+        this.identifierContent.show();
+
+        // Signed-in users can open the issue from here
+        this.createIdentifierIssueBtn.toggle(!!this.getStoredGitHubToken());
+        this.updateSuggestedTitle();
+    }
+
+    /**
+     * Check the (possibly edited) issue title and update the title feedback, the GitHub link and the create button
+     * @returns {Object} Validation result ({ valid, identifier, findings })
+     */
+    updateSuggestedTitle() {
+        const title = this.suggestedTitle.val();
+        const identifier = this.nextIdentifierDisplay.text();
+        const validation = window.app.registerAnalysis.validateIssueTitle(title, window.app.registerAnalysis.getCurrentSequenceYear());
+
+        // The title must reserve the identifier shown above, not another one
+        if (validation.identifier && validation.identifier.identifier !== identifier) {
+            validation.findings.push({ code: 'other-identifier', message: `Use the identifier ${identifier} shown above` });
+            validation.valid = false;
+        }
+
+        this.suggestedTitle.toggleClass('is-invalid', !validation.valid);
+        $('#suggested-title-feedback').empty().append(validation.findings.map(finding =>
+            $('<li>').text(finding.message)
+        ));
+
         // Generate GitHub issue URL with pre-filled title and additional label
         const baseUrl = BuddyExchangeConfig.urls.getGitHubNewIssueUrl();
         const params = new URLSearchParams({
@@ -974,14 +2015,250 @@ Please assign me to this issue if available. Thank you!`;
             labels: `${BuddyExchangeConfig.labels.buddyExchange},${BuddyExchangeConfig.labels.identifierAssigned}`,
             projects: '',
             template: BuddyExchangeConfig.urls.issueTemplate,
-            title: suggestedTitle
+            title
         });
-        const issueUrl = `${baseUrl}?${params.toString()}`;
+        this.submitWithIdentifier.attr('href', `${baseUrl}?${params.toString()}`);
 
-        this.submitWithIdentifier.attr('href', issueUrl);
-        this.submitWithIdentifier.show();
-        $('#submit-identifier-hint').show();
-        this.identifierContent.show();
+        // Only titles following the convention are created from here
+        const canCreate = this.createIdentifierIssueBtn.css('display') !== 'none';
+        this.createIdentifierIssueBtn.prop('disabled', !validation.valid);
+        $('#create-identifier-issue-hint').toggle(canCreate && !validation.valid);
+
+        return validation;
+    }
+
+    /**
+     * Create the issue reserving the shown identifier, offering the next one if it was taken in the meantime
+     */
+    async createIdentifierIssue() {
+        const identifier = this.nextIdentifierDisplay.text();
+        const originalLabel = this.createIdentifierIssueBtn.text();
+
+        this.createIdentifierIssueBtn.prop('disabled', true).text('Checking identifier...');
+        this.identifierError.hide();
+        this.identifierCreateResult.hide();
+
+        try {
+            const title = this.suggestedTitle.val();
+            const result = await window.app.createIdentifierIssue(this.nextIdentifierNumber, title);
+
+            if (result.taken) {
+                const nextIdentifier = result.taken.nextIdentifier;
+                this.displayIdentifierCalculation(result.taken);
+
+                // Keep the title as the user edited it, with only the identifier replaced
+                this.suggestedTitle.val(title.split(identifier).join(nextIdentifier));
+                this.showIdentifierCreateResult('warning',
+                    `${identifier} was taken in the meantime, so no issue was created. ` +
+                    `${nextIdentifier} is the next free identifier; check the title and create the issue again to use it.`);
+                return;
+            }
+
+            this.createIdentifierIssueBtn.hide();
+            this.submitWithIdentifier.hide();
+            $('#submit-identifier-hint').hide();
+            this.showIdentifierCreateResult('success', `Created issue #${result.issue.number} for ${identifier}. `, result.issue.html_url);
+
+        } catch (error) {
+            console.error('Error creating identifier issue:', error);
+            this.showIdentifierError(`Failed to create the issue. ${window.app.describeError(error)} ` +
+                'You can still open it on GitHub with "Create My Request Using This Identifier".');
+        } finally {
+            this.createIdentifierIssueBtn.text(originalLabel);
+            this.createIdentifierIssueBtn.prop('disabled', !this.updateSuggestedTitle().valid);
+        }
+    }
+
+    /**
+     * Show the outcome of creating the identifier issue
+     * @param {string} type - Bootstrap alert type ('success' or 'warning')
+     * @param {string} message - Message to show
+     * @param {string|null} issueUrl - Link to the created issue
+     */
+    showIdentifierCreateResult(type, message, issueUrl = null) {
+        this.identifierCreateResult
+            .attr('class', `alert alert-${type} small py-2`)
+            .text(message);
+
+        if (issueUrl) {
+            $('<a target="_blank" class="alert-link">').attr('href', issueUrl).text('Open it on GitHub').appendTo(this.identifierCreateResult);
+        }
+
+        this.identifierCreateResult.show();
+    }
+
+    /**
+     * List the used identifiers with their sources, newest first
+     * @param {Array} usedIdentifiers - Merged identifiers ({ identifier, sources, issues, listing })
+     * @param {string|null} listingError - Why the register listing could not be loaded, if it failed
+     */
+    displayUsedIdentifiers(usedIdentifiers, listingError) {
+        const listingName = BuddyExchangeConfig.registerListing.path;
+        const list = $('#identifier-used-list').empty();
+
+        usedIdentifiers.slice().reverse().forEach(entry => {
+            const $item = $('<li>').append($('<strong>').text(entry.identifier)).append(document.createTextNode(': '));
+            const sources = [];
+
+            entry.issues.forEach(issue => {
+                sources.push($('<a target="_blank">').attr('href', issue.html_url).text(`issue #${issue.number}`));
+            });
+            if (entry.listing) {
+                sources.push($('<span>').text(`${listingName}${entry.listing.checkDate ? ` (checked ${entry.listing.checkDate})` : ''}`));
+            }
+
+            sources.forEach((source, index) => $item.append(index > 0 ? document.createTextNode(', ') : '').append(source));
+            list.append($item);
+        });
+
+        const fromIssues = usedIdentifiers.filter(entry => entry.sources.includes('issue')).length;
+        const fromListing = usedIdentifiers.filter(entry => entry.sources.includes('register')).length;
+        const listingOnly = usedIdentifiers.filter(entry => entry.sources.length === 1 && entry.sources[0] === 'register').length;
+
+        $('#identifier-used-summary').text(
+            `${usedIdentifiers.length} identifiers in use: ${fromIssues} in issue titles, ${fromListing} in ${listingName}` +
+            (listingOnly > 0 ? ` (${listingOnly} only there)` : '')
+        );
+        $('#identifier-used').toggle(usedIdentifiers.length > 0);
+
+        $('#identifier-listing-warning-text').text(listingError ?
+            `The published certificate list could not be loaded, so only issue titles were checked. ${listingError}` : '');
+        $('#identifier-listing-warning').toggle(!!listingError);
+    }
+
+    /**
+     * List the issue titles that were skipped when extracting identifiers
+     * @param {Array} ignored - Ignored titles ({ issue, code, reason })
+     */
+    displayIgnoredTitles(ignored) {
+        const list = $('#identifier-ignored-list').empty();
+
+        ignored.forEach(({ issue, reason }) => {
+            const $item = $('<li>');
+            $('<a target="_blank">').attr('href', issue.html_url).text(`#${issue.number}`).appendTo($item);
+            $item.append(document.createTextNode(` ${issue.title.trim() || '(no title)'}: ${reason}`));
+            list.append($item);
+        });
+
+        $('#identifier-ignored-summary').text(`${ignored.length} issue title${ignored.length === 1 ? ' was' : 's were'} ignored`);
+        $('#identifier-ignored').toggle(ignored.length > 0);
+
+        if (ignored.length > 0) {
+            console.log(`Ignored ${ignored.length} issue titles without a valid certificate identifier`);
+        }
+    }
+
+    /**
+     * Summarize the problems of the integrity report in the next identifier modal
+     * @param {Object} report - Integrity report from IssueStore.getIdentifierReport
+     */
+    displayIdentifierProblems(report) {
+        const problems = [
+            [report.duplicates.length, 'duplicate identifier', 'duplicate identifiers'],
+            [report.missingIdentifiers.length, `"${BuddyExchangeConfig.labels.identifierAssigned}" issue without identifier`, `"${BuddyExchangeConfig.labels.identifierAssigned}" issues without identifier`],
+            [report.yearMismatches.length, 'identifier with the wrong year', 'identifiers with the wrong year']
+        ]
+            .filter(([count]) => count > 0)
+            .map(([count, singular, plural]) => `${count} ${count === 1 ? singular : plural}`);
+
+        this.identifierProblemsText.text(`The register has ${problems.join(', ')}. Please check them before using this identifier.`);
+        this.identifierProblems.toggle(problems.length > 0);
+    }
+
+    /**
+     * Hide one modal and run a callback once it is gone, so two modals never overlap
+     * @param {jQuery} modal - Modal element to hide
+     * @param {Function} callback - Called after the modal is hidden
+     */
+    switchModal(modal, callback) {
+        const modalInstance = bootstrap.Modal.getInstance(modal[0]);
+
+        if (!modalInstance) {
+            callback();
+            return;
+        }
+
+        modal.one('hidden.bs.modal', callback);
+        modalInstance.hide();
+    }
+
+    /**
+     * Show the identifier integrity report of the current issue snapshot
+     */
+    async showIdentifierReportModal() {
+        const modalInstance = new bootstrap.Modal(this.identifierReportModal[0]);
+        modalInstance.show();
+
+        this.identifierReportSections.empty();
+        this.identifierReportSummary.text('Checking identifiers...');
+
+        try {
+            await window.app.ensureFreshSnapshot();
+            this.renderIdentifierReport(window.app.issueStore.getIdentifierReport());
+        } catch (error) {
+            console.error('Error building identifier report:', error);
+            this.identifierReportSummary.text(`Failed to check identifiers. ${window.app.describeError(error)}`);
+        }
+    }
+
+    /**
+     * Render the sections of the identifier integrity report
+     * @param {Object} report - Integrity report ({ duplicates, missingIdentifiers, yearMismatches, gaps })
+     */
+    renderIdentifierReport(report) {
+        const issueLink = issue => $('<a target="_blank">')
+            .attr('href', issue.html_url)
+            .text(`#${issue.number}`);
+        const issueItem = (issue, text) => $('<li>')
+            .append(issueLink(issue))
+            .append(document.createTextNode(` ${issue.title.trim() || '(no title)'}${text ? `: ${text}` : ''}`));
+        const formatGap = gap => gap.from === gap.to ?
+            window.app.registerAnalysis.formatCertificateIdentifier(gap.from, gap.year) :
+            `${window.app.registerAnalysis.formatCertificateIdentifier(gap.from, gap.year)} to ${window.app.registerAnalysis.formatCertificateIdentifier(gap.to, gap.year)}`;
+
+        const sections = [
+            {
+                title: 'Identifiers used by more than one issue',
+                items: report.duplicates.map(duplicate => {
+                    const $item = $('<li>').append($('<strong>').text(duplicate.identifier)).append(document.createTextNode(' in '));
+                    duplicate.issues.forEach((issue, index) => {
+                        $item.append(index > 0 ? document.createTextNode(', ') : '').append(issueLink(issue));
+                    });
+                    return $item;
+                })
+            },
+            {
+                title: `Issues labelled "${BuddyExchangeConfig.labels.identifierAssigned}" without a valid identifier`,
+                items: report.missingIdentifiers.map(({ issue, reason }) => issueItem(issue, reason))
+            },
+            {
+                title: 'Identifiers that do not match the year the issue was opened',
+                items: report.yearMismatches.map(entry =>
+                    issueItem(entry.issue, `${entry.identifier} in an issue opened in ${entry.createdYear}`))
+            },
+            {
+                title: 'Gaps in the identifier sequences',
+                items: report.gaps.map(gap => $('<li>').text(formatGap(gap)))
+            }
+        ];
+
+        const problemCount = report.duplicates.length + report.missingIdentifiers.length + report.yearMismatches.length;
+        this.identifierReportSummary.text(problemCount > 0 ?
+            `Found ${problemCount} problem${problemCount === 1 ? '' : 's'} in ${window.app.issueStore.issues.length} register issues.` :
+            `No conflicts found in ${window.app.issueStore.issues.length} register issues.`);
+
+        sections.forEach(section => {
+            const $section = $('<div class="mb-3">')
+                .append($('<h6>').text(`${section.title} (${section.items.length})`));
+
+            if (section.items.length > 0) {
+                $section.append($('<ul class="small mb-0">').append(section.items));
+            } else {
+                $section.append($('<p class="small text-success mb-0">').text('None found'));
+            }
+
+            this.identifierReportSections.append($section);
+        });
     }
 
     /**
@@ -1033,6 +2310,22 @@ Please assign me to this issue if available. Thank you!`;
         return localStorage.getItem(BuddyExchangeConfig.storage.authorName);
     }
 
+    /**
+     * Get the stored sort mode of the available issues list
+     * @returns {string|null} Stored sort mode or null
+     */
+    getStoredIssueSort() {
+        return localStorage.getItem(BuddyExchangeConfig.storage.issueSort);
+    }
+
+    /**
+     * Store the sort mode of the available issues list in localStorage
+     * @param {string} mode - Sort mode
+     */
+    storeIssueSort(mode) {
+        localStorage.setItem(BuddyExchangeConfig.storage.issueSort, mode);
+    }
+
     /**
      * Store GitHub username in localStorage
      * @param {string} username - GitHub username to store
@@ -1049,6 +2342,32 @@ Please assign me to this issue if available. Thank you!`;
         localStorage.setItem(BuddyExchangeConfig.storage.authorName, authorName);
     }
 
+    /**
+     * Get stored GitHub personal access token from localStorage
+     * @returns {string|null} Stored token or null
+     */
+    getStoredGitHubToken() {
+        return localStorage.getItem(BuddyExchangeConfig.storage.githubToken);
+    }
+
+    /**
+     * Get the GitHub login the stored token belongs to
+     * @returns {string|null} Login of the signed-in user or null
+     */
+    getStoredTokenLogin() {
+        return localStorage.getItem(BuddyExchangeConfig.storage.githubTokenLogin);
+    }
+
+    /**
+     * Store GitHub personal access token and the login it belongs to in localStorage
+     * @param {string} token - Validated personal access token
+     * @param {string} login - GitHub login returned for the token
+     */
+    storeGitHubToken(token, login) {
+        localStorage.setItem(BuddyExchangeConfig.storage.githubToken, token);
+        localStorage.setItem(BuddyExchangeConfig.storage.githubTokenLogin, login);
+    }
+
     /**
      * Remove stored GitHub username from localStorage
      */
@@ -1063,12 +2382,21 @@ Please assign me to this issue if available. Thank you!`;
         localStorage.removeItem(BuddyExchangeConfig.storage.authorName);
     }
 
+    /**
+     * Remove stored GitHub personal access token from localStorage
+     */
+    removeStoredGitHubToken() {
+        localStorage.removeItem(BuddyExchangeConfig.storage.githubToken);
+        localStorage.removeItem(BuddyExchangeConfig.storage.githubTokenLogin);
+    }
+
     /**
      * Remove all stored settings from localStorage
      */
     removeAllStoredSettings() {
         this.removeStoredGitHubUsername();
         this.removeStoredAuthorName();
+        this.removeStoredGitHubToken();
     }
 
     /**
@@ -1082,6 +2410,7 @@ Please assign me to this issue if available. Thank you!`;
         // Load current settings
         const currentUsername = this.getStoredGitHubUsername();
         const currentAuthor = this.getStoredAuthorName();
+        const currentToken = this.getStoredGitHubToken();
 
         // Update display of current settings
         let hasSettings = false;
@@ -1106,6 +2435,20 @@ Please assign me to this issue if available. Thank you!`;
             this.githubUsernameInput.val('');
         }
 
+        this.tokenValidationMessage.hide();
+
+        if (currentToken) {
+            this.currentTokenUserText.text(`@${this.getStoredTokenLogin() || 'unknown'}`);
+            this.currentTokenQuotaText.text('');
+            this.currentTokenDisplayItem.show();
+            this.githubTokenInput.val(currentToken);
+            this.updateTokenQuotaDisplay();
+            hasSettings = true;
+        } else {
+            this.currentTokenDisplayItem.hide();
+            this.githubTokenInput.val('');
+        }
+
         if (hasSettings) {
             this.currentSettingsDisplay.show();
             this.removeSettingsBtn.show();
@@ -1116,11 +2459,39 @@ Please assign me to this issue if available. Thank you!`;
     }
 
     /**
-     * Save settings (both author name and GitHub username)
+     * Update the signed-in quota shown in the settings modal
+     */
+    async updateTokenQuotaDisplay() {
+        try {
+            const rateLimit = await window.app.githubAPI.checkRateLimit();
+            if (rateLimit.rate) {
+                this.currentTokenQuotaText.text(`${rateLimit.rate.remaining} of ${rateLimit.rate.limit} requests/hour left`);
+            }
+        } catch (error) {
+            console.warn('Failed to fetch rate limit for token:', error);
+        }
+    }
+
+    /**
+     * Show token validation feedback in the settings modal
+     * @param {string} message - Message to show
+     * @param {string} type - Bootstrap text type (success, danger, muted)
+     */
+    showTokenValidationMessage(message, type) {
+        this.tokenValidationMessage
+            .removeClass('text-success text-danger text-muted')
+            .addClass(`text-${type}`)
+            .text(message)
+            .show();
+    }
+
+    /**
+     * Save settings (author name, GitHub username and access token)
      */
-    saveSettings() {
+    async saveSettings() {
         const authorName = this.authorNameInput.val().trim();
-        const username = this.githubUsernameInput.val().trim();
+        let username = this.githubUsernameInput.val().trim();
+        const token = this.githubTokenInput.val().trim();
 
         // Validate author name if provided
         if (authorName && authorName.length < 2) {
@@ -1134,13 +2505,40 @@ Please assign me to this issue if available. Thank you!`;
             return;
         }
 
-        // Store both settings
+        // Validate the token against GitHub before storing it
+        let tokenUser = null;
+        if (token) {
+            this.saveSettingsBtn.prop('disabled', true);
+            this.showTokenValidationMessage('Checking token with GitHub...', 'muted');
+
+            try {
+                tokenUser = await window.app.githubAPI.fetchAuthenticatedUser(token);
+            } catch (error) {
+                console.warn('Token validation failed:', error);
+                this.showTokenValidationMessage(error.message, 'danger');
+                return;
+            } finally {
+                this.saveSettingsBtn.prop('disabled', false);
+            }
+
+            // Use the token's identity when no username was entered
+            if (!username) {
+                username = tokenUser.login;
+            }
+        }
+
+        // Store settings
         if (authorName) {
             this.storeAuthorName(authorName);
         }
         if (username) {
             this.storeGitHubUsername(username);
         }
+        if (tokenUser) {
+            this.storeGitHubToken(token, tokenUser.login);
+        } else {
+            this.removeStoredGitHubToken();
+        }
 
         // Close modal
         const modalInstance = bootstrap.Modal.getInstance(this.settingsConfigModal[0]);
@@ -1152,19 +2550,24 @@ Please assign me to this issue if available. Thank you!`;
         const savedItems = [];
         if (authorName) savedItems.push('Author name');
         if (username) savedItems.push('GitHub username');
+        if (tokenUser) savedItems.push('access token');
 
-        if (savedItems.length > 0) {
+        if (tokenUser) {
+            this.showTemporaryMessage(`${savedItems.join(', ')} saved successfully! Signed in as @${this.escapeHtml(tokenUser.login)}.`, 'success');
+        } else if (savedItems.length > 0) {
             this.showTemporaryMessage(`${savedItems.join(' and ')} saved successfully!`, 'success');
         } else {
             this.showTemporaryMessage('Settings updated!', 'info');
         }
+
+        window.app.renderMyExchange();
     }
 
     /**
      * Remove all stored settings
      */
     removeAllSettings() {
-        if (confirm('Are you sure you want to clear all your saved settings? This will remove your author name and GitHub username.')) {
+        if (confirm('Are you sure you want to clear all your saved settings? This will remove your author name, GitHub username and access token.')) {
             this.removeAllStoredSettings();
 
             // Update modal display
@@ -1172,8 +2575,11 @@ Please assign me to this issue if available. Thank you!`;
             this.removeSettingsBtn.hide();
             this.authorNameInput.val('');
             this.githubUsernameInput.val('');
+            this.githubTokenInput.val('');
+            this.tokenValidationMessage.hide();
 
             this.showTemporaryMessage('All settings cleared successfully!', 'info');
+            window.app.renderMyExchange();
         }
     }
 
@@ -1216,11 +2622,9 @@ Please assign me to this issue if available. Thank you!`;
             this.autoFillNote.show();
 
             // Fetch user info from GitHub API
-            const response = await fetch(`https://api.github.com/users/${username}`);
-
-            if (response.ok) {
-                const userData = await response.json();
+            const userData = await window.app.githubAPI.fetchUserProfile(username);
 
+            if (userData) {
                 // Auto-fill author name if GitHub profile has a real name
                 if (userData.name && userData.name.trim()) {
                     this.authorNameInput.val(userData.name.trim());
@@ -1240,17 +2644,13 @@ Please assign me to this issue if available. Thank you!`;
                         this.autoFillNote.hide();
                     }, BuddyExchangeConfig.ui.messageDisplayDuration);
                 }
-            } else if (response.status === 404) {
+            } else {
                 // User not found
                 this.autoFillNote.html('<span class="text-warning">GitHub user not found</span>');
 
                 setTimeout(() => {
                     this.autoFillNote.hide();
                 }, BuddyExchangeConfig.ui.messageDisplayDuration);
-            } else {
-                // Other API error
-                console.warn('GitHub API error:', response.status, response.statusText);
-                this.autoFillNote.hide();
             }
         } catch (error) {
             console.warn('Failed to fetch GitHub user info:', error);
@@ -0,0 +1,285 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RateLimitError, NetworkError, NotFoundError, UnauthorizedError, ServerError } = require('../assets/js/core/errors.js');
+const { GitHubClient } = require('../assets/js/core/github-client.js');
+const { RegisterAnalysis } = require('../assets/js/core/register-analysis.js');
+const { createConfig, createFixtureBackend, createRecordingClient } = require('./helpers.js');
+
+/**
+ * Build a transport answering every request with the same status
+ * @param {number} status - HTTP status code
+ * @param {Object} headers - Response headers
+ * @returns {Function} Transport with the signature of fetch()
+ */
+function respondWith(status, headers = {}) {
+    return async () => new Response(JSON.stringify({ message: 'error' }), { status, headers });
+}
+
+describe('GitHubClient', () => {
+    const analysis = new RegisterAnalysis(createConfig());
+
+    describe('with the fixture backend', () => {
+        it('follows Link headers through every page of issues', async () => {
+            const { client, requests } = createRecordingClient(createFixtureBackend('many-open').fetch);
+            const progress = [];
+            client.onProgress = update => progress.push(update);
+
+            const issues = await client.fetchAllIssues();
+
+            assert.equal(requests.length, 2);
+            assert.ok(issues.length > 100);
+            assert.equal(new Set(issues.map(issue => issue.number)).size, issues.length);
+            assert.deepEqual(progress.map(update => update.hasMore), [true, false]);
+        });
+
+        it('stops after the configured number of pages', async () => {
+            const { client, requests } = createRecordingClient(createFixtureBackend('many-open').fetch);
+
+            const issues = await client.fetchAllIssues(100, 1);
+
+            assert.equal(requests.length, 1);
+            assert.equal(issues.length, 100);
+        });
+
+        it('only returns issues updated since the given time', async () => {
+            const { client } = createRecordingClient(createFixtureBackend('sample').fetch);
+            const allIssues = await client.fetchAllIssues();
+            const since = allIssues.map(issue => issue.updated_at).sort()[allIssues.length - 3];
+
+            const updatedIssues = await client.fetchIssuesUpdatedSince(since);
+
+            assert.equal(updatedIssues.length, 3);
+            assert.ok(updatedIssues.every(issue => issue.updated_at >= since));
+        });
+
+        it('loads codecheckers metadata from the CSV', async () => {
+            const { client } = createRecordingClient(createFixtureBackend('sample').fetch);
+
+            const codecheckers = await client.fetchCodecheckersMetadata();
+
+            assert.equal(codecheckers.get('mira-chen').languages, 'Python');
+        });
+
+        it('loads the certificate listing of the register', async () => {
+            const { client, requests } = createRecordingClient(createFixtureBackend('sample').fetch);
+
+            const listing = await client.fetchRegisterListing();
+
+            assert.equal(requests[0], 'https://raw.githubusercontent.com/codecheckers/register/refs/heads/master/register.csv');
+            assert.equal(listing.length, 17);
+            assert.ok(listing.some(entry => entry.identifier === '2025-025'));
+        });
+
+        it('throws NotFoundError when the register publishes no listing', async () => {
+            const { client } = createRecordingClient(createFixtureBackend('empty').fetch);
+
+            await assert.rejects(client.fetchRegisterListing(), NotFoundError);
+        });
+
+        it('loads the issue template without its front matter', async () => {
+            const { client, requests } = createRecordingClient(createFixtureBackend('sample').fetch);
+
+            const template = await client.fetchIssueTemplate();
+
+            assert.equal(requests[0], 'https://raw.githubusercontent.com/codecheckers/register/refs/heads/master/.github/ISSUE_TEMPLATE/buddy-exchange-request.md');
+            assert.ok(template.startsWith('## Paper title'));
+            assert.ok(!template.includes('about:'));
+        });
+
+        it('creates issues and lists them afterwards', async () => {
+            const { client } = createRecordingClient(createFixtureBackend('sample').fetch);
+
+            const issue = await client.createIssue({
+                title: 'Rivera | 2025-025',
+                body: '## Paper title',
+                labels: ['buddy exchange', 'id assigned']
+            });
+            const issues = await client.fetchAllIssues();
+
+            assert.equal(issue.number, 26);
+            assert.equal(issue.html_url, 'https://github.com/codecheckers/register/issues/26');
+            assert.deepEqual(issue.labels.map(label => label.name), ['buddy exchange', 'id assigned']);
+            assert.equal(issues[0].title, 'Rivera | 2025-025');
+        });
+
+        it('adds comments to those of the fixture set', async () => {
+            const { client } = createRecordingClient(createFixtureBackend('sample').fetch);
+
+            const comment = await client.createIssueComment(23, analysis.formatClaimComment('@fixture-user'));
+            const comments = await client.fetchIssueComments(23);
+
+            assert.equal(comment.html_url, `https://github.com/codecheckers/register/issues/23#issuecomment-${comment.id}`);
+            assert.equal(comments.length, 4);
+            assert.equal(comments[3].id, comment.id);
+            assert.equal(analysis.findClaimComment(comments, 'Fixture-User').id, comment.id);
+            assert.equal(analysis.findClaimComment(comments, 'priya-nair'), null);
+        });
+
+        it('reads the label history from the issue events', async () => {
+            const { client } = createRecordingClient(createFixtureBackend('sample').fetch);
+
+            const timeline = analysis.getLabelTimeline(await client.fetchIssueEvents(19));
+
+            assert.deepEqual(timeline.map(change => `${change.action} ${change.label.name}`),
+                ['added buddy exchange', 'added id assigned', 'added needs codechecker']);
+            assert.equal(timeline[2].actor, 'register-editor');
+            assert.deepEqual(await client.fetchIssueEvents(16), []);
+            await assert.rejects(client.fetchIssueEvents(999), NotFoundError);
+        });
+
+        it('tracks the quota from the rate limit headers', async () => {
+            const { client } = createRecordingClient(createFixtureBackend('empty').fetch);
+            const updates = [];
+            client.onRateLimitChange = rateLimit => updates.push(rateLimit);
+
+            await client.fetchAllIssues();
+
+            assert.equal(client.rateLimit.limit, 5000);
+            assert.equal(client.rateLimit.remaining, 5000);
+            assert.ok(client.rateLimit.reset instanceof Date);
+            assert.equal(updates.length, 1);
+            assert.equal(updates[0].low, false);
+        });
+
+        it('re-checks a quota below the warning threshold once it resets', async () => {
+            const { client, requests } = createRecordingClient(createFixtureBackend('empty').fetch);
+            const updates = [];
+            client.onRateLimitChange = rateLimit => updates.push(rateLimit);
+
+            // Above the pause threshold, so nothing is paused, but the quota banner is shown
+            client.setRateLimit({ limit: 60, remaining: 8, reset: new Date(Date.now() + 10) });
+            await new Promise(resolve => setTimeout(resolve, 1100));
+
+            assert.deepEqual(requests, ['https://api.github.com/rate_limit']);
+            assert.equal(updates.at(-1).remaining, 5000);
+        });
+
+        it('returns null for unknown user profiles', async () => {
+            const { client } = createRecordingClient(createFixtureBackend('sample').fetch);
+
+            assert.equal(await client.fetchUserProfile('nobody-here'), null);
+            assert.equal((await client.fetchUserProfile('mira-chen')).name, 'Mira Chen');
+        });
+    });
+
+    describe('error handling', () => {
+        it('throws NotFoundError for a missing repository', async () => {
+            const { client } = createRecordingClient(respondWith(404));
+
+            await assert.rejects(client.fetchAllIssues(), NotFoundError);
+        });
+
+        it('throws UnauthorizedError for a rejected token', async () => {
+            const { client } = createRecordingClient(respondWith(401));
+
+            await assert.rejects(client.fetchAllIssues(), UnauthorizedError);
+        });
+
+        it('throws RateLimitError when the quota is exhausted', async () => {
+            const { client } = createRecordingClient(respondWith(403, { 'X-RateLimit-Remaining': '0' }));
+
+            await assert.rejects(client.fetchAllIssues(), RateLimitError);
+        });
+
+        it('throws the typed error when the quota cannot be checked', async () => {
+            const { client } = createRecordingClient(respondWith(401));
+
+            await assert.rejects(client.checkRateLimit(), UnauthorizedError);
+            assert.equal(client.rateLimit, null);
+        });
+
+        it('retries server errors before giving up', async () => {
+            const { client, requests } = createRecordingClient(respondWith(502));
+
+            await assert.rejects(client.fetchAllIssues(), ServerError);
+            assert.equal(requests.length, 3);
+        });
+
+        it('recovers when a retry succeeds', async () => {
+            const backend = createFixtureBackend('sample');
+            let failures = 1;
+            const { client, requests } = createRecordingClient((url, init) =>
+                failures-- > 0 ? respondWith(503)() : backend.fetch(url, init));
+
+            const issues = await client.fetchAllIssues();
+
+            assert.equal(requests.length, 2);
+            assert.equal(issues.length, 25);
+        });
+
+        it('does not retry creating an issue', async () => {
+            const { client, requests } = createRecordingClient(respondWith(502));
+
+            await assert.rejects(client.createIssue({ title: 'A | 2025-001', body: '', labels: [] }), ServerError);
+            assert.equal(requests.length, 1);
+        });
+
+        it('wraps transport failures in NetworkError', async () => {
+            const { client, requests } = createRecordingClient(async () => {
+                throw new TypeError('fetch failed');
+            });
+
+            await assert.rejects(client.fetchAllIssues(), NetworkError);
+            assert.equal(requests.length, 3);
+        });
+
+        it('does not retry cancelled requests', async () => {
+            const controller = new AbortController();
+            const { client, requests } = createRecordingClient(createFixtureBackend('sample').fetch);
+            controller.abort();
+
+            await assert.rejects(client.fetchAllIssues(undefined, undefined, { signal: controller.signal }), { name: 'AbortError' });
+            assert.equal(requests.length, 0);
+        });
+
+        it('cancels non-essential requests paused for the quota', async () => {
+            const controller = new AbortController();
+            const { client, requests } = createRecordingClient(createFixtureBackend('sample').fetch);
+            client.rateLimit = { limit: 60, remaining: 1, reset: new Date(Date.now() + 60 * 60 * 1000) };
+
+            const pending = client.request('https://api.github.com/users/mira-chen', { essential: false, signal: controller.signal });
+            controller.abort();
+
+            await assert.rejects(pending, { name: 'AbortError' });
+            assert.equal(requests.length, 0);
+            assert.equal(client.quotaWaiters.length, 0);
+        });
+    });
+
+    describe('authentication', () => {
+        it('sends the token from the token provider', async () => {
+            let headers = null;
+            const client = new GitHubClient({
+                config: createConfig(),
+                fetchImplementation: async (url, init) => {
+                    headers = init.headers;
+                    return new Response('[]', { status: 200 });
+                },
+                tokenProvider: () => 'test-token'
+            });
+
+            await client.fetchAllIssues();
+
+            assert.equal(headers['Authorization'], 'Bearer test-token');
+        });
+
+        it('sends new issues as JSON', async () => {
+            let request = null;
+            const client = new GitHubClient({
+                config: createConfig(),
+                fetchImplementation: async (url, init) => {
+                    request = { url, ...init };
+                    return new Response('{"number": 1}', { status: 201 });
+                },
+                tokenProvider: () => 'test-token'
+            });
+
+            await client.createIssue({ title: 'A | 2025-001', body: 'Body', labels: ['buddy exchange'] });
+
+            assert.equal(request.method, 'POST');
+            assert.equal(request.url, 'https://api.github.com/repos/codecheckers/register/issues');
+            assert.deepEqual(JSON.parse(request.body), { title: 'A | 2025-001', body: 'Body', labels: ['buddy exchange'] });
+        });
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Shared setup for the core library tests
+ *
+ * Builds a configuration of the same shape as BuddyExchangeConfig and serves
+ * the bundled fixtures from assets/fixtures through FixtureBackend.
+ */
+const fs = require('fs/promises');
+const path = require('path');
+
+const { FixtureBackend } = require('../assets/js/core/fixture-backend.js');
+const { GitHubClient } = require('../assets/js/core/github-client.js');
+
+const FIXTURES_PATH = path.join(__dirname, '..', 'assets', 'fixtures');
+
+/**
+ * Create a test configuration
+ * @returns {Object} Configuration with the settings read by the core library
+ */
+function createConfig() {
+    return {
+        repository: {
+            owner: 'codecheckers',
+            name: 'register',
+            branch: 'master',
+            get fullName() {
+                return `${this.owner}/${this.name}`;
+            },
+            identifierFormat: { prefix: '', numbering: 'yearly', padding: 3 },
+            titleTemplate: '{author} | {identifier}'
+        },
+        registerListing: { path: 'register.csv' },
+        urls: { issueTemplate: 'buddy-exchange-request.md', issueTemplateDirectory: '.github/ISSUE_TEMPLATE' },
+        github: {
+            issuesPerPage: 100,
+            maxAllIssuesPages: 50,
+            // No backoff, so retried requests do not slow the tests down
+            retry: { maxAttempts: 3, baseDelay: 0 }
+        },
+        labels: {
+            buddyExchange: 'buddy exchange',
+            needsCodechecker: 'needs codechecker',
+            identifierAssigned: 'id assigned'
+        },
+        ui: { debug: false },
+        rateLimit: { warningThreshold: 10, pauseThreshold: 5, showRateLimitInfo: false },
+        certificate: { currentYear: 2025 }
+    };
+}
+
+/**
+ * Create a fixture backend reading from the file system
+ * @param {string} fixtureName - Fixture set (file name without .json)
+ * @returns {FixtureBackend} Backend serving the fixture set
+ */
+function createFixtureBackend(fixtureName) {
+    return new FixtureBackend(fixtureName, {
+        basePath: FIXTURES_PATH,
+        loadFile: file => fs.readFile(file, 'utf8')
+    });
+}
+
+/**
+ * Create a client that records every request it sends
+ * @param {Function} fetchImplementation - Transport answering the requests
+ * @returns {Object} Client and the list of requested URLs ({ client, requests })
+ */
+function createRecordingClient(fetchImplementation) {
+    const requests = [];
+    const client = new GitHubClient({
+        config: createConfig(),
+        fetchImplementation: (url, init) => {
+            requests.push(url);
+            return fetchImplementation(url, init);
+        }
+    });
+
+    return { client, requests };
+}
+
+/**
+ * Load the issues of a fixture set
+ * @param {string} fixtureName - Fixture set (file name without .json)
+ * @returns {Promise<Array>} GitHub issues
+ */
+async function loadFixtureIssues(fixtureName) {
+    return JSON.parse(await fs.readFile(path.join(FIXTURES_PATH, `${fixtureName}.json`), 'utf8'));
+}
+
+module.exports = {
+    FIXTURES_PATH,
+    createConfig,
+    createFixtureBackend,
+    createRecordingClient,
+    loadFixtureIssues
+};
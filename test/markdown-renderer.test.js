@@ -0,0 +1,59 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+
+const marked = require('../assets/js/marked.min.js');
+const { MarkdownRenderer } = require('../assets/js/core/markdown-renderer.js');
+const { FIXTURES_PATH } = require('./helpers.js');
+
+describe('MarkdownRenderer', () => {
+    const renderer = new MarkdownRenderer(marked);
+    let comments;
+
+    before(async () => {
+        comments = JSON.parse(await fs.readFile(path.join(FIXTURES_PATH, 'sample-comments.json'), 'utf8'));
+    });
+
+    it('shows script tags and event handlers from a comment as text', () => {
+        const html = renderer.render(comments[22].find(comment => comment.user.login === 'mallory-example').body);
+
+        assert.doesNotMatch(html, /<script/i);
+        assert.doesNotMatch(html, /<img/i);
+        assert.match(html, /&lt;script&gt;/);
+        assert.match(html, /&lt;img src=x onerror=/);
+    });
+
+    it('keeps only the text of links and images with unsafe URLs', () => {
+        assert.equal(renderer.render('[More details](javascript:alert(1))').trim(), '<p>More details</p>');
+        assert.equal(renderer.render('[x](JavaScript:alert(1))').trim(), '<p>x</p>');
+        assert.equal(renderer.render('![chart](data:image/svg+xml;base64,PHN2Zz4=)').trim(), '<p>chart</p>');
+    });
+
+    it('decodes character references before checking the URL', () => {
+        assert.equal(renderer.render('[a](javascript&#58;alert(1))').trim(), '<p>a</p>');
+        assert.equal(renderer.render('[a](javascript&#x3A;alert(1))').trim(), '<p>a</p>');
+        assert.equal(renderer.render('[a](javascript&#58alert(1))').trim(), '<p>a</p>');
+        assert.equal(renderer.render('[a](java&Tab;script&colon;alert(1))').trim(), '<p>a</p>');
+        assert.equal(renderer.render('![x](javascript&colon;alert(1))').trim(), '<p>x</p>');
+        assert.equal(renderer.render('[a](javascript&Colon;alert(1))').trim(), '<p>a</p>');
+    });
+
+    it('escapes the URLs and titles it writes', () => {
+        assert.equal(renderer.render('[a](https://example.org/?x=1&amp;y=2 "Say &quot;hi&quot; <b>")').trim(),
+            '<p><a href="https://example.org/?x=1&amp;y=2" title="Say &quot;hi&quot; &lt;b&gt;">a</a></p>');
+        assert.equal(renderer.render('![a "b"](images/logo.png)').trim(), '<p><img src="images/logo.png" alt="a &quot;b&quot;"></p>');
+    });
+
+    it('renders regular markdown, links and images', () => {
+        const html = renderer.render('**Code** at [GitHub](https://github.com/codecheckers/register) ![logo](images/logo.png)');
+
+        assert.match(html, /<strong>Code<\/strong>/);
+        assert.match(html, /<a href="https:\/\/github.com\/codecheckers\/register">GitHub<\/a>/);
+        assert.match(html, /<img src="images\/logo.png" alt="logo">/);
+    });
+
+    it('drops HTML comments such as template hints', () => {
+        assert.equal(renderer.render('<!-- Fill in the DOI -->\n\nDone').trim(), '<p>Done</p>');
+    });
+});
@@ -0,0 +1,528 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+
+const { RegisterAnalysis } = require('../assets/js/core/register-analysis.js');
+const { FIXTURES_PATH, createConfig, loadFixtureIssues } = require('./helpers.js');
+
+describe('RegisterAnalysis', () => {
+    const analysis = new RegisterAnalysis(createConfig());
+    const fixtures = {};
+
+    before(async () => {
+        for (const name of ['sample', 'empty', 'multi-assignee', 'malformed-titles']) {
+            fixtures[name] = await loadFixtureIssues(name);
+        }
+    });
+
+    describe('filterAvailableIssues', () => {
+        it('keeps unassigned buddy exchange issues and those needing a codechecker', () => {
+            const open = fixtures.sample.filter(issue => issue.state === 'open');
+
+            assert.deepEqual(analysis.filterAvailableIssues(open).map(issue => issue.number), [23, 22, 20, 19, 17, 16]);
+        });
+
+        it('lets the "needs codechecker" label take precedence over assignees', () => {
+            const available = analysis.filterAvailableIssues(fixtures['multi-assignee']).map(issue => issue.number);
+
+            assert.deepEqual(available, [12, 11, 9]);
+        });
+
+        it('returns nothing for an empty register', () => {
+            assert.deepEqual(analysis.filterAvailableIssues(fixtures.empty), []);
+        });
+    });
+
+    describe('calculateLeaderboard', () => {
+        it('counts closed checks per codechecker', () => {
+            const { leaderboard, totalCompleted, activeContributors } = analysis.calculateLeaderboard(fixtures.sample);
+
+            assert.equal(totalCompleted, 14);
+            assert.equal(activeContributors, 8);
+            assert.equal(leaderboard.reduce((sum, user) => sum + user.completedCount, 0), 14);
+        });
+
+        it('credits every assignee once and sorts by completed checks', () => {
+            const { leaderboard, totalCompleted } = analysis.calculateLeaderboard(fixtures['multi-assignee']);
+            const counts = Object.fromEntries(leaderboard.map(user => [user.username, user.completedCount]));
+
+            assert.equal(totalCompleted, 8);
+            assert.deepEqual(counts, {
+                'jonas-berg': 4,
+                'mira-chen': 4,
+                'sam-okafor': 3,
+                'priya-nair': 2,
+                'alex-rivera': 1,
+                'ines-costa': 1,
+                'leo-martin': 1
+            });
+            assert.deepEqual(leaderboard.map(user => user.completedCount), [4, 4, 3, 2, 1, 1, 1]);
+        });
+
+        it('links each entry to a search for the codechecker\'s issues', () => {
+            const [first] = analysis.calculateLeaderboard(fixtures.sample).leaderboard;
+
+            const query = new URL(first.searchUrl).searchParams.get('q');
+
+            assert.ok(query.includes('repo:codecheckers/register'));
+            assert.ok(query.includes(`assignee:${first.username}`));
+        });
+    });
+
+    describe('calculateBuddyRatios', () => {
+        it('compares received and conducted checks of every author', () => {
+            const { allRecipients, totalUsers, totalIssues } = analysis.calculateBuddyRatios(fixtures['multi-assignee']);
+            const novak = allRecipients.find(user => user.username === 'tomas-novak');
+
+            assert.equal(totalUsers, 8);
+            assert.equal(totalIssues, 12);
+            assert.equal(novak.receivedChecks, 1);
+            assert.equal(novak.conductedChecks, 0);
+            assert.equal(novak.deficit, 1);
+        });
+
+        it('sorts by the highest ratio first', () => {
+            const ratios = analysis.calculateBuddyRatios(fixtures.sample).allRecipients.map(user => user.ratio);
+
+            assert.deepEqual(ratios, [...ratios].sort((a, b) => b - a));
+        });
+    });
+
+    describe('exchange balance', () => {
+        it('compares received and conducted checks, ignoring the case of the username', () => {
+            const balance = analysis.calculateExchangeBalance(fixtures.sample, 'Mira-Chen');
+
+            assert.equal(balance.username, 'mira-chen');
+            assert.equal(balance.receivedChecks - balance.conductedChecks, balance.deficit);
+            assert.equal(balance.inDeficit, balance.deficit > 0);
+            assert.deepEqual(balance.receivedFrom, [{ login: 'tomas-novak', issueNumber: 2 }, { login: 'tomas-novak', issueNumber: 10 }]);
+        });
+
+        it('starts newcomers without a deficit', () => {
+            const balance = analysis.calculateExchangeBalance(fixtures.sample, 'newcomer');
+
+            assert.equal(balance.receivedChecks, 0);
+            assert.equal(balance.inDeficit, false);
+        });
+
+        it('lists a user\'s requests with their status and the checks assigned to them', () => {
+            const buddyExchangeIssues = fixtures.sample.filter(issue => analysis.hasLabel(issue, 'buddy exchange'));
+            const myExchange = analysis.calculateMyExchange(buddyExchangeIssues, 'alex-rivera');
+
+            assert.deepEqual(myExchange.requests.map(({ issue, status, assignees }) => [issue.number, status, assignees]), [
+                [24, 'assigned', ['sam-okafor']],
+                [16, 'waiting', []],
+                [8, 'closed', ['sam-okafor']]
+            ]);
+            assert.deepEqual(myExchange.inProgress.map(issue => issue.number), [21]);
+            assert.deepEqual(myExchange.completed.map(issue => issue.number), [13, 5]);
+            assert.equal(myExchange.balance.ratio, 1.5);
+        });
+
+        it('shows an assigned request as in progress while it still needs a codechecker by label', () => {
+            const waiting = fixtures.sample.find(issue => issue.number === 16);
+            const assigned = { ...waiting, assignee: { login: 'sam-okafor' }, assignees: [{ login: 'sam-okafor' }] };
+
+            assert.ok(analysis.hasLabel(assigned, 'needs codechecker'));
+            assert.deepEqual(analysis.calculateMyExchange([assigned], 'alex-rivera').requests.map(request => request.status), ['assigned']);
+        });
+
+        it('warns about claiming one\'s own issue or that of one\'s own codechecker', () => {
+            const balance = analysis.calculateExchangeBalance(fixtures.sample, 'mira-chen');
+            const codes = number => analysis.getClaimWarnings(fixtures.sample.find(issue => issue.number === number), balance)
+                .map(warning => warning.code);
+
+            assert.deepEqual(codes(18), ['own-issue']);
+            assert.deepEqual(codes(23), ['received-from-author']);
+            assert.deepEqual(codes(19), []);
+        });
+    });
+
+    describe('certificate identifiers', () => {
+        it('accepts YYYY-NNN identifiers at the end of the title', () => {
+            assert.deepEqual(analysis.parseCertificateIdentifier('Chen | Climate downscaling with R | 2025-018'), {
+                year: 2025,
+                number: 18,
+                identifier: '2025-018'
+            });
+        });
+
+        it('does not mistake other numbers for identifiers', () => {
+            const parsed = analysis.parseCertificateIdentifier('Reproduce 3 figures from 2019');
+
+            assert.equal(parsed.identifier, undefined);
+            assert.equal(parsed.code, 'missing');
+        });
+
+        it('reports why malformed titles were ignored', () => {
+            const { identifiers, ignored } = analysis.extractCertificateIdentifiers(fixtures['malformed-titles']);
+            const codes = Object.fromEntries(ignored.map(({ issue, code }) => [issue.number, code]));
+
+            assert.deepEqual(identifiers.map(({ identifier }) => identifier), ['2025-016', '2099-001', '2025-1001', '2025-013', '2023-099']);
+            assert.deepEqual(codes, {
+                1: 'missing',
+                2: 'malformed',
+                4: 'malformed',
+                5: 'malformed',
+                6: 'malformed',
+                7: 'malformed',
+                10: 'missing',
+                11: 'missing',
+                12: 'malformed',
+                13: 'misplaced'
+            });
+            assert.ok(ignored.every(({ reason }) => reason.length > 0));
+        });
+
+        it('requires the identifier where the title template puts it', () => {
+            assert.equal(analysis.parseCertificateIdentifier('2025-001').code, 'misplaced');
+        });
+
+        it('keeps a separate sequence per year', () => {
+            const { identifiers } = analysis.extractCertificateIdentifiers([
+                { title: 'A | 2024-007' },
+                { title: 'B | 2024-008' },
+                { title: 'C | 2025-001' }
+            ]);
+
+            assert.deepEqual(Array.from(analysis.getIdentifierSequences(identifiers)), [[2024, [7, 8]], [2025, [1]]]);
+            assert.equal(analysis.calculateNextIdentifier(identifiers), 2);
+            assert.equal(analysis.calculateNextIdentifier(identifiers, 2024), 9);
+            assert.equal(analysis.calculateNextIdentifier(identifiers, 2026), 1);
+        });
+
+        it('continues after the highest identifier of the year', () => {
+            const { identifiers } = analysis.extractCertificateIdentifiers(fixtures.sample);
+
+            assert.equal(identifiers.length, 24);
+            assert.equal(analysis.calculateNextIdentifier(identifiers), 25);
+            assert.equal(analysis.calculateNextIdentifier(analysis.extractCertificateIdentifiers(fixtures.empty).identifiers), 1);
+        });
+
+        it('formats identifiers with the configured formatter', () => {
+            assert.equal(analysis.formatCertificateIdentifier(7), '2025-007');
+            assert.equal(analysis.formatIssueTitle('Chen', '2025-007'), 'Chen | 2025-007');
+        });
+
+        it('keeps replacement patterns and placeholders in the author name as written', () => {
+            assert.equal(analysis.formatIssueTitle("Chen $& $' $` $1", '2025-007'), "Chen $& $' $` $1 | 2025-007");
+            assert.equal(analysis.formatIssueTitle('Chen {identifier}', '2025-007'), 'Chen {identifier} | 2025-007');
+        });
+
+        it('validates issue titles against the title convention', () => {
+            const codes = title => analysis.validateIssueTitle(title, 2025).findings.map(finding => finding.code);
+
+            assert.deepEqual(analysis.validateIssueTitle('Chen | 2025-001', 2025), {
+                valid: true,
+                identifier: { year: 2025, number: 1, identifier: '2025-001' },
+                findings: []
+            });
+            assert.deepEqual(codes('Chen 2025-001'), ['missing-separator']);
+            assert.deepEqual(codes('2025-001 | Chen'), ['misplaced-identifier']);
+            assert.deepEqual(codes('Chen | 2025-01'), ['malformed-identifier']);
+            assert.deepEqual(codes('Chen | Paper title'), ['missing-identifier']);
+            assert.deepEqual(codes('[Author Name] | 2025-001'), ['placeholder']);
+            assert.deepEqual(codes(' | 2025-001'), ['missing-author']);
+            assert.deepEqual(codes('Chen | 2024-003'), ['wrong-year']);
+            assert.deepEqual(analysis.validateIssueTitle('Chen | 2024-003').findings, []);
+        });
+
+        describe('with a continuous, prefixed format', () => {
+            const config = createConfig();
+            config.repository.identifierFormat = { prefix: 'CHK-', numbering: 'continuous', padding: 4 };
+            config.repository.titleTemplate = '[{identifier}] {author}';
+            const continuous = new RegisterAnalysis(config);
+
+            it('parses identifiers from the title template', () => {
+                assert.deepEqual(continuous.parseCertificateIdentifier('[CHK-0042] Chen'), {
+                    year: null,
+                    number: 42,
+                    identifier: 'CHK-0042'
+                });
+                assert.equal(continuous.parseCertificateIdentifier('[CHK-42] Chen').code, 'malformed');
+                assert.equal(continuous.parseCertificateIdentifier('Chen | CHK-0042').code, 'misplaced');
+                assert.equal(continuous.parseCertificateIdentifier('Chen | 2025-001').code, 'missing');
+            });
+
+            it('numbers across years', () => {
+                const { identifiers } = continuous.extractCertificateIdentifiers([
+                    { title: '[CHK-0041] A', created_at: '2024-05-01T00:00:00Z' },
+                    { title: '[CHK-0043] B', created_at: '2025-05-01T00:00:00Z' }
+                ]);
+
+                assert.equal(continuous.calculateNextIdentifier(identifiers), 44);
+                assert.equal(continuous.formatCertificateIdentifier(44), 'CHK-0044');
+                assert.equal(continuous.formatIssueTitle('Chen', 'CHK-0044'), '[CHK-0044] Chen');
+                assert.equal(continuous.describeIdentifierFormat(), 'CHK-NNNN');
+
+                const report = continuous.checkIdentifierIntegrity({ identifiers, ignored: [] });
+                assert.deepEqual(report.yearMismatches, []);
+                assert.deepEqual(report.gaps, [{ year: null, from: 1, to: 40 }, { year: null, from: 42, to: 42 }]);
+            });
+        });
+    });
+
+    describe('register listing', () => {
+        let listing;
+
+        before(async () => {
+            // Synthetic sample in the format the register publishes register.csv in
+            listing = analysis.parseRegisterListing(await fs.readFile(path.join(__dirname, 'fixtures', 'register.csv'), 'utf8'));
+        });
+
+        it('reads every certificate of the listing', () => {
+            assert.equal(listing.length, 13);
+            assert.deepEqual(listing[0], {
+                year: 2020,
+                number: 1,
+                identifier: '2020-001',
+                source: 'register',
+                issueNumber: 1,
+                report: 'https://doi.org/10.5281/zenodo.2000001',
+                checkDate: '2020-02-25'
+            });
+        });
+
+        it('handles quoted fields, issue URLs and empty issue columns', () => {
+            const byIdentifier = Object.fromEntries(listing.map(entry => [entry.identifier, entry]));
+
+            assert.equal(byIdentifier['2021-002'].checkDate, '2021-03-29');
+            assert.equal(byIdentifier['2022-001'].issueNumber, null);
+            assert.equal(byIdentifier['2023-001'].issueNumber, 88);
+        });
+
+        it('skips rows without a certificate identifier', () => {
+            const entries = analysis.parseRegisterListing('Certificate,Issue\nTBD,12\n2025-02,13\n2025-003,14\n');
+
+            assert.deepEqual(entries.map(entry => entry.identifier), ['2025-003']);
+        });
+
+        it('returns nothing without a Certificate column', () => {
+            assert.deepEqual(analysis.parseRegisterListing('Repository,Issue\ngithub::a/b,1\n'), []);
+        });
+
+        it('merges listed identifiers with the issue titles and keeps their sources', () => {
+            const { identifiers } = analysis.extractCertificateIdentifiers([
+                { number: 134, title: 'Berg | 2025-003' },
+                { number: 140, title: 'Chen | 2025-004' }
+            ]);
+            const used = analysis.mergeIdentifierSources(identifiers, listing);
+            const sources = Object.fromEntries(used.map(entry => [entry.identifier, entry.sources]));
+
+            assert.deepEqual(sources['2025-001'], ['register']);
+            assert.deepEqual(sources['2025-003'], ['issue', 'register']);
+            assert.deepEqual(sources['2025-004'], ['issue']);
+            assert.equal(used.length, 14);
+            assert.equal(analysis.calculateNextIdentifier(used), 5);
+            assert.equal(analysis.calculateNextIdentifier(used, 2024), 8);
+        });
+    });
+
+    describe('checkIdentifierIntegrity', () => {
+        const issue = (number, title, createdAt, labels = ['buddy exchange', 'id assigned']) => ({
+            number,
+            title,
+            created_at: createdAt,
+            labels: labels.map(name => ({ name }))
+        });
+
+        const issues = [
+            issue(1, 'A | 2025-001', '2025-01-10T00:00:00Z'),
+            issue(2, 'B | 2025-001', '2025-01-12T00:00:00Z'),
+            issue(3, 'C | 2025-004', '2025-02-01T00:00:00Z'),
+            issue(4, 'D | 2025-07', '2025-03-01T00:00:00Z'),
+            issue(5, 'E | 2024-002', '2025-01-02T00:00:00Z'),
+            issue(6, 'Community call', '2025-04-01T00:00:00Z', ['community'])
+        ];
+
+        it('flags identifiers used by more than one issue', () => {
+            const { duplicates } = analysis.checkIdentifierIntegrity(analysis.extractCertificateIdentifiers(issues));
+
+            assert.equal(duplicates.length, 1);
+            assert.equal(duplicates[0].identifier, '2025-001');
+            assert.deepEqual(duplicates[0].issues.map(duplicate => duplicate.number), [1, 2]);
+        });
+
+        it('flags "id assigned" issues without a parseable identifier', () => {
+            const { missingIdentifiers } = analysis.checkIdentifierIntegrity(analysis.extractCertificateIdentifiers(issues));
+
+            assert.deepEqual(missingIdentifiers.map(entry => entry.issue.number), [4]);
+            assert.equal(missingIdentifiers[0].code, 'malformed');
+        });
+
+        it('flags identifiers of another year than the issue creation', () => {
+            const { yearMismatches } = analysis.checkIdentifierIntegrity(analysis.extractCertificateIdentifiers(issues));
+
+            assert.deepEqual(yearMismatches.map(entry => [entry.identifier, entry.createdYear]), [['2024-002', 2025]]);
+        });
+
+        it('lists the gaps in each year as ranges', () => {
+            const { gaps } = analysis.checkIdentifierIntegrity(analysis.extractCertificateIdentifiers(issues));
+
+            assert.deepEqual(gaps, [
+                { year: 2024, from: 1, to: 1 },
+                { year: 2025, from: 2, to: 3 }
+            ]);
+        });
+
+        it('finds nothing wrong in a consistent register', () => {
+            const report = analysis.checkIdentifierIntegrity(analysis.extractCertificateIdentifiers(fixtures.sample));
+
+            assert.deepEqual(report, { duplicates: [], missingIdentifiers: [], yearMismatches: [], gaps: [] });
+        });
+    });
+
+    describe('pending claims', () => {
+        let comments;
+
+        before(async () => {
+            comments = JSON.parse(await fs.readFile(path.join(FIXTURES_PATH, 'sample-comments.json'), 'utf8'));
+        });
+
+        const summarize = number => analysis.summarizePendingClaims(
+            fixtures.sample.find(issue => issue.number === number),
+            comments[number]
+        );
+
+        it('counts the claim snippet and @-mention claims, but not the author\'s replies', () => {
+            const claims = summarize(23);
+
+            assert.equal(claims.count, 2);
+            assert.deepEqual(claims.claimants.map(claimant => claimant.login), ['mira-chen', 'jonas-berg']);
+            assert.equal(claims.latest.login, 'jonas-berg');
+            assert.equal(claims.latest.url, comments[23][2].html_url);
+        });
+
+        it('counts someone claiming twice once', () => {
+            assert.deepEqual(summarize(19).claimants.map(claimant => claimant.login), ['alex-rivera', 'priya-nair']);
+        });
+
+        it('ignores questions and comments without claim wording', () => {
+            assert.equal(summarize(22).count, 0);
+            assert.equal(summarize(16).latest, null);
+            assert.equal(analysis.isClaimComment({ body: 'I would like to check this, but only next month' }), false);
+        });
+    });
+
+    describe('parseRequestBody', () => {
+        const parse = number => analysis.parseRequestBody(fixtures.sample.find(issue => issue.number === number).body);
+        const values = request => Object.fromEntries(request.fields.map(field => [field.key, field.text]));
+
+        it('reads the sections of the request template', () => {
+            const request = parse(23);
+
+            assert.equal(request.structured, true);
+            assert.deepEqual(values(request), {
+                title: 'Machine learning for soil moisture',
+                preprint: 'https://doi.org/10.5281/zenodo.1000023',
+                repository: 'https://example.org/repository-23',
+                data: 'Zenodo record linked from the repository README (2 GB)',
+                languages: 'Python',
+                runtime: 'About 3 hours',
+                hardware: 'A GPU speeds up training but is not required'
+            });
+        });
+
+        it('leaves out empty sections and links markdown links and DOIs', () => {
+            const fields = parse(20).fields;
+
+            assert.deepEqual(fields.map(field => field.key), ['title', 'preprint', 'repository', 'data', 'languages', 'runtime']);
+            assert.equal(fields[1].url, 'https://doi.org/10.1000/example.20');
+            assert.deepEqual(fields[2], { key: 'repository', label: 'Code', text: 'Code on example.org', url: 'https://example.org/repository-20' });
+            assert.equal(fields[4].text, 'Julia, C++');
+        });
+
+        it('marks bodies that do not follow the template as unstructured', () => {
+            assert.equal(parse(19).structured, false);
+            assert.deepEqual(analysis.parseRequestBody(null), { structured: false, fields: [] });
+            assert.equal(analysis.parseRequestBody('Please check my paper!').structured, false);
+        });
+    });
+
+    describe('issue filters', () => {
+        const available = () => analysis.filterAvailableIssues(fixtures.sample.filter(issue => issue.state === 'open'));
+        const filter = changes => analysis.filterIssues(available(), { ...analysis.getDefaultIssueFilters(), ...changes },
+            new Date('2025-08-10T00:00:00Z')).map(issue => issue.number);
+
+        it('reads the languages listed in the issue body', () => {
+            assert.deepEqual(analysis.getIssueLanguages(fixtures.sample.find(issue => issue.number === 20)), ['Julia', 'C++']);
+            assert.deepEqual(analysis.getIssueLanguages({ body: '### Languages\n<!-- e.g. R -->\nR and python; R\n\n## Data' }), ['R', 'python']);
+            assert.deepEqual(analysis.getIssueLanguages({ body: null }), []);
+        });
+
+        it('offers the authors and languages of the available issues', () => {
+            const options = analysis.collectIssueFilterOptions(available());
+
+            assert.deepEqual(options.languages, ['C++', 'Julia', 'MATLAB', 'Python']);
+            assert.equal(options.authors.length, 6);
+            assert.deepEqual(options.labels.find(label => label.name === 'needs codechecker').count, 6);
+        });
+
+        it('requires every search word and every other filter to match', () => {
+            assert.deepEqual(filter({}), [23, 22, 20, 19, 17, 16]);
+            assert.deepEqual(filter({ search: 'SEGMENTATION roots' }), [19]);
+            assert.deepEqual(filter({ search: 'segmentation soil' }), []);
+            assert.deepEqual(filter({ language: 'python' }), [23, 19, 17]);
+            assert.deepEqual(filter({ language: 'python', author: 'Jonas-Berg' }), [19]);
+            assert.deepEqual(filter({ labels: ['Needs Codechecker', 'id assigned'] }), [23, 22, 20, 19, 17, 16]);
+            assert.deepEqual(filter({ labels: ['needs codechecker', 'good first check'] }), []);
+        });
+
+        it('filters by age in days', () => {
+            assert.deepEqual(filter({ maxAgeDays: 30 }), [23, 22]);
+            assert.deepEqual(filter({ minAgeDays: 65 }), [16]);
+        });
+
+        it('round-trips filters through URL parameters and keeps other parameters', () => {
+            const filters = { ...analysis.getDefaultIssueFilters(), search: 'soil', labels: ['id assigned', 'needs codechecker'], language: 'C++', minAgeDays: 14 };
+            const params = analysis.writeIssueFilters(filters, new URLSearchParams('data-source=sample&author=old'));
+
+            assert.equal(params.toString(), 'data-source=sample&q=soil&labels=id+assigned%2Cneeds+codechecker&lang=C%2B%2B&older=14');
+            assert.deepEqual(analysis.parseIssueFilters(params), filters);
+            assert.equal(analysis.hasActiveIssueFilters(analysis.parseIssueFilters(new URLSearchParams('older=soon&q=+'))), false);
+        });
+    });
+
+    describe('sortIssues', () => {
+        const sort = (mode, claimCounts) => analysis.sortIssues(
+            analysis.filterAvailableIssues(fixtures.sample.filter(issue => issue.state === 'open')), mode, claimCounts
+        ).map(issue => issue.number);
+
+        it('orders by age, update time and comments, keeping the newest first on ties', () => {
+            assert.deepEqual(sort('newest'), [23, 22, 20, 19, 17, 16]);
+            assert.deepEqual(sort('longest-waiting'), [16, 17, 19, 20, 22, 23]);
+            assert.deepEqual(sort('most-comments'), [19, 23, 22, 17, 16, 20]);
+            assert.deepEqual(sort('fewest-comments'), [20, 16, 22, 17, 23, 19]);
+            assert.deepEqual(sort('unknown'), sort('newest'));
+        });
+
+        it('puts issues whose claims are not known yet after those with known claims', () => {
+            assert.deepEqual(sort('fewest-claims', new Map([[23, 2], [19, 2], [17, 1]])), [20, 17, 23, 19, 22, 16]);
+            assert.equal(analysis.isIssueSortMode('fewest-claims'), true);
+            assert.equal(analysis.isIssueSortMode(null), false);
+        });
+    });
+
+    describe('parseCodecheckersCSV', () => {
+        it('reads the codecheckers fixture keyed by handle', async () => {
+            const csv = await fs.readFile(path.join(FIXTURES_PATH, 'codecheckers.csv'), 'utf8');
+            const codecheckers = analysis.parseCodecheckersCSV(csv);
+
+            assert.equal(codecheckers.size, 8);
+            assert.deepEqual(codecheckers.get('sam-okafor'), {
+                name: 'Sam Okafor',
+                fields: 'ecology, statistics',
+                languages: 'R, Stan'
+            });
+        });
+
+        it('returns an empty map when required columns are missing', () => {
+            assert.equal(analysis.parseCodecheckersCSV('name,orcid\n"Alex Rivera",').size, 0);
+        });
+
+        it('keeps commas inside quoted fields', () => {
+            assert.deepEqual(analysis.parseCSVLine('"A, B",@a,"x, y"'), ['A, B', '@a', 'x, y']);
+        });
+    });
+});